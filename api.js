@@ -2,9 +2,95 @@
 
 'use strict';
 
+const StateHistory = require('./lib/StateHistory');
+const EnergyAccounting = require('./lib/EnergyAccounting');
+
+// Finds the tank given by the device query parameter
+function getDevice(homey, query) {
+  const devices = homey.app.getTankDevices();
+  let device;
+  if (query.device) {
+    device = devices.find(candidate => candidate.getData().deviceId === query.device || candidate.getName() === query.device);
+  } else if (devices.length === 1) {
+    [device] = devices;
+  }
+  if (!device) {
+    throw new Error(query.device ? `Unknown device: ${query.device}` : 'Several tanks available, please specify device');
+  }
+  return device;
+}
+
+// Reads the from and to query parameters, the range ends now and is as long as the given default when left out
+function getRange(query, defaultLength) {
+  const toTime = value => (Number.isNaN(+value) ? Date.parse(value) : +value);
+  const to = query.to ? toTime(query.to) : Date.now();
+  const from = query.from ? toTime(query.from) : to - defaultLength;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('Invalid date in from or to');
+  }
+  return { from, to };
+}
+
 module.exports = {
   async getVersion({ homey, query }) {
     const result = `{"version": "${homey.app.manifest.version}"}`;
     return result;
+  },
+
+  /**
+   * Returns the history of a tank
+   * Query parameters:
+   *   device: myUplink device id or name of the device, can be left out when there is only one tank
+   *   from, to: start and end of the range as ISO dates or ms since epoch, default is the last 24 hours
+   *   resolution: raw, hour, day or auto (default)
+   *   format: json (default) or csv
+   */
+  async getHistory({ homey, query }) {
+    const device = getDevice(homey, query);
+    const { from, to } = getRange(query, 24 * 60 * 60 * 1000);
+    const samples = device.getHistory({ from, to, resolution: query.resolution });
+    if (query.format === 'csv') {
+      return StateHistory.toCSV(samples);
+    }
+    return samples;
+  },
+
+  /**
+   * Returns the energy use, leakage and cost of a tank
+   * Query parameters:
+   *   device: myUplink device id or name of the device, can be left out when there is only one tank
+   *   resolution: hour, day or month for the use in each period, or summary (default) for today,
+   *     this month and the peak hours of this month
+   *   from, to: start and end of the range as ISO dates or ms since epoch, default is the last 31 days
+   *   format: json (default) or csv, summaries are always json
+   */
+  async getEnergy({ homey, query }) {
+    const device = getDevice(homey, query);
+    if (!query.resolution || query.resolution === 'summary') {
+      return device.getEnergySummary();
+    }
+    const { from, to } = getRange(query, 31 * 24 * 60 * 60 * 1000);
+    const periods = device.getEnergy({ from, to, resolution: query.resolution });
+    if (query.format === 'csv') {
+      return EnergyAccounting.toCSV(periods);
+    }
+    return periods;
+  },
+
+  /**
+   * Limits the heater of a tank to a power budget
+   * Body parameters:
+   *   device: myUplink device id or name of the device, can be left out when there is only one tank
+   *   power: power budget in W
+   * Returns the power chosen in W, 0 if the heater was turned off
+   */
+  async setPowerBudget({ homey, body }) {
+    const params = body || {};
+    const device = getDevice(homey, params);
+    const budget = +params.power;
+    if (params.power === undefined || params.power === null || Number.isNaN(budget) || budget < 0) {
+      throw new Error('Invalid power budget');
+    }
+    return { power: await device.setPowerBudget(budget) };
   }
 };
@@ -10,7 +10,7 @@ class MyApp extends OAuth2App {
   static OAUTH2_CLIENT = HoiaxOAuth2Client; // Default: OAuth2Client
   static OAUTH2_DEBUG = this.DEBUG; // Default: false
   static OAUTH2_MULTI_SESSION = false; // Default: false
-  static OAUTH2_DRIVERS = ['my_driver']; // Default: all drivers
+  static OAUTH2_DRIVERS = ['oso-charge-r2', 'myuplink-device']; // Default: all drivers
 
   /**
    * onInit is called when the app is initialized.
@@ -27,6 +27,47 @@ class MyApp extends OAuth2App {
       this.homey.notifications.createNotification({ excerpt: this.homey.__('info.sparegris') });
       this.homey.settings.set('userNotifiedSparegris', 'yes');
     }
+
+    // The presence is given by flows, so the user decides who counts as being home
+    this.presence = undefined;
+    this.homey.flow.getActionCard('set-presence')
+      .registerRunListener(async args => this.setPresence(args.presence));
+  }
+
+  /**
+   * Updates the smart home mode for all systems with a device that has enabled presence sync
+   * Vacation mode is only left when someone arrives home.
+   * @param presence 'home' if anyone is home, 'away' otherwise
+   */
+  async setPresence(presence) {
+    if (presence === this.presence) {
+      // Flows for each user arriving or leaving give the same presence several times
+      return;
+    }
+    this.presence = presence;
+    this.log(`Presence changed to ${presence}`);
+    const syncedDevices = this.getTankDevices()
+      .filter(device => device.getSetting('presence_sync'));
+    const handledSystems = new Set();
+    for (const device of syncedDevices) {
+      if (!handledSystems.has(device.systemId)) {
+        handledSystems.add(device.systemId);
+        const currentMode = device.getCapabilityValue('smart_home_mode');
+        if (!(presence === 'away' && currentMode === 'vacation')) {
+          await device.setSmartHomeMode(presence)
+            .catch(err => this.error(`Could not set smart home mode: ${err.message}`));
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the devices of all drivers, both real and simulated tanks
+   */
+  getTankDevices() {
+    return ['oso-charge-r2', 'simulated-tank']
+      .map(driverId => this.homey.drivers.getDriver(driverId).getDevices())
+      .reduce((all, devices) => all.concat(devices), []);
   }
 
   /**
@@ -0,0 +1,158 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const { OAuth2Device } = require('homey-oauth2app');
+const ParameterCatalog = require('../../lib/ParameterCatalog');
+const ParameterValidationError = require('../../lib/ParameterValidationError');
+const PointCapabilities = require('../../lib/PointCapabilities');
+
+const MINUTE = 60 * 1000; // ms
+
+/**
+ * A myUplink device with the points selected when it was added.
+ * Read-only points and points selected as sensors are shown as sensors, writable points selected
+ * as settings can be changed from Homey.
+ */
+class MyUplinkDevice extends OAuth2Device {
+
+  async onOAuth2Init() {
+    this.log('MyUplinkDevice was initialized');
+    try {
+      this.deviceId = this.getData().deviceId;
+      this.killed = false;
+      if (!this.oAuth2Client.isLoggedIn()) {
+        await this.onOAuth2Expired();
+        return;
+      }
+      this.reauthRequired = false;
+
+      // The point metadata is stored when the device is added, so the capabilities can be set up without myUplink
+      this.catalog = ParameterCatalog.fromJSON(this.getStoreValue('parameterCatalog'));
+      this.oAuth2Client.setParameterCatalog(this.deviceId, this.catalog);
+      this.mappings = {};
+      for (const point of this.getStoreValue('points') || []) {
+        if (this.catalog.has(point.id)) {
+          this.mappings[point.id] = PointCapabilities.get(point.id, this.catalog.get(point.id), point.setting);
+        }
+      }
+      await this.updateCapabilities();
+
+      await this.setSettings({ deviceId: String(this.deviceId), deviceName: String(this.getData().deviceName) })
+        .catch(this.error);
+
+      this.startPolling(this.getSetting('poll_interval'));
+      await this.pollState();
+    } catch (err) {
+      // Safer to set device unavailable state than to throw the error. Reason being onOAuth2Deleted is not called if this throw errors
+      this.setUnavailable(`Unknown error, may need to reinstall device: ${err}`);
+    }
+  }
+
+  // Adds a capability for every selected point and removes capabilities of points no longer selected
+  async updateCapabilities() {
+    const capabilityIds = Object.values(this.mappings).map(mapping => mapping.capabilityId);
+    for (const capabilityId of this.getCapabilities()) {
+      if (PointCapabilities.isPointCapability(capabilityId) && !capabilityIds.includes(capabilityId)) {
+        await this.removeCapability(capabilityId);
+      }
+    }
+    for (const [parameterId, mapping] of Object.entries(this.mappings)) {
+      if (!this.hasCapability(mapping.capabilityId)) {
+        await this.addCapability(mapping.capabilityId);
+      }
+      await this.setCapabilityOptions(mapping.capabilityId, mapping.options)
+        .catch(err => this.error(`Could not set the options of ${mapping.capabilityId}: ${err.message}`));
+      if (mapping.setable) {
+        this.registerCapabilityListener(mapping.capabilityId, async value => this.setPoint(parameterId, value));
+      }
+    }
+  }
+
+  // Writes a point, the value is validated against the range of the point before it is sent
+  async setPoint(parameterId, value) {
+    const mapping = this.mappings[parameterId];
+    const pointValue = ('values' in mapping.options) ? +value : value / mapping.factor;
+    return this.oAuth2Client.setDevicePoint(this.deviceId, { [parameterId]: pointValue })
+      .catch(err => {
+        if (!(err instanceof ParameterValidationError)) {
+          this.setUnavailable(this.getUnavailableMessage(err));
+        }
+        return Promise.reject(err);
+      });
+  }
+
+  startPolling(minutes) {
+    this.stopPolling();
+    this.pollIntervalID = this.homey.setInterval(() => {
+      this.pollState().catch(this.error);
+    }, (minutes || 5) * MINUTE);
+  }
+
+  stopPolling() {
+    if (this.pollIntervalID !== undefined) {
+      this.homey.clearInterval(this.pollIntervalID);
+      this.pollIntervalID = undefined;
+    }
+  }
+
+  // Reads the selected points and updates the capabilities
+  async pollState() {
+    const parameterIds = Object.keys(this.mappings);
+    if (parameterIds.length === 0) return;
+    try {
+      const points = await this.oAuth2Client.getDevicePoints(this.deviceId, parameterIds.join(','));
+      for (const point of points) {
+        const mapping = this.mappings[String(point.parameterId)];
+        const value = mapping ? PointCapabilities.toCapabilityValue(mapping, point.value) : undefined;
+        if (value !== undefined) {
+          await this.setCapabilityValue(mapping.capabilityId, value)
+            .catch(err => this.error(`Could not set ${mapping.capabilityId} to ${value}: ${err.message}`));
+        }
+      }
+      await this.setAvailable();
+    } catch (err) {
+      if (this.killed) return;
+      await this.setUnavailable(this.getUnavailableMessage(err));
+    }
+  }
+
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('poll_interval')) {
+      this.startPolling(newSettings.poll_interval);
+    }
+  }
+
+  async onOAuth2Deleted() {
+    await this.onOAuth2Uninit();
+  }
+
+  async onOAuth2Uninit() {
+    this.killed = true;
+    this.stopPolling();
+  }
+
+  // Called when the myUplink login can no longer be refreshed, the device stays unavailable until repaired
+  async onOAuth2Expired() {
+    this.log('The myUplink login has expired');
+    this.reauthRequired = true;
+    await this.onOAuth2Uninit();
+    await this.setUnavailable(this.homey.__('errors.reauthRequired'));
+  }
+
+  // myUplink answers 409 Conflict when the device itself is offline, other errors are between Homey and myUplink
+  getUnavailableMessage(err) {
+    if (err && err.status === 409) {
+      return this.homey.__('errors.deviceOffline');
+    }
+    return `Network problem: ${err.message}`;
+  }
+
+  // Keeps the repair message until the device has been repaired, network errors would only confuse the user
+  async setUnavailable(message) {
+    return super.setUnavailable(this.reauthRequired ? this.homey.__('errors.reauthRequired') : message);
+  }
+
+}
+
+module.exports = MyUplinkDevice;
@@ -0,0 +1,95 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const { OAuth2Driver } = require('homey-oauth2app');
+const ParameterCatalog = require('../../lib/ParameterCatalog');
+
+/**
+ * Driver for any device on the myUplink account, i.e. heat pumps and ventilation units.
+ * The user selects which device points to show in Homey when the device is added.
+ */
+class MyUplinkDriver extends OAuth2Driver {
+
+  async onOAuth2Init() {
+    this.log('MyUplinkDriver has been initialized');
+  }
+
+  /**
+   * Adds the point selection to the pairing.
+   * The login and device list are handled by the OAuth2Driver, the selected device carries the
+   * session of the login so the points can be read with the same client.
+   */
+  onPair(session) {
+    super.onPair(session);
+    let selected;
+    let points;
+
+    session.setHandler('list_devices_selection', async ([device]) => {
+      selected = device;
+      points = undefined;
+    });
+
+    // Returns all points of the selected device with their current value
+    session.setHandler('get_points', async () => {
+      if (!selected) throw new Error('No device selected');
+      const client = this.getPairingClient(selected);
+      points = await client.getDevicePoints(selected.data.deviceId, []);
+      return {
+        name: selected.name || selected.data.deviceName,
+        points: points.map(point => ({
+          id: String(point.parameterId),
+          name: point.parameterName,
+          category: point.category,
+          value: point.strVal || `${point.value} ${point.parameterUnit || ''}`.trim(),
+          writable: point.writable === true
+        }))
+      };
+    });
+
+    // Returns the device to add with the selected points, each given as {id, setting}
+    session.setHandler('select_points', async selection => {
+      if (!selected || !points) throw new Error('No device selected');
+      const ids = new Set(selection.map(item => String(item.id)));
+      const catalog = new ParameterCatalog(points.filter(point => ids.has(String(point.parameterId))));
+      this.getPairingClient(selected).save();
+      return {
+        name: selected.name || selected.data.deviceName,
+        data: selected.data,
+        store: {
+          ...selected.store,
+          points: selection.map(item => ({ id: String(item.id), setting: !!item.setting })),
+          parameterCatalog: catalog.toJSON()
+        }
+      };
+    });
+  }
+
+  // The client of the login used in the pairing
+  getPairingClient(device) {
+    return this.homey.app.getOAuth2Client({
+      sessionId: device.store.OAuth2SessionId,
+      configId: device.store.OAuth2ConfigId
+    });
+  }
+
+  /**
+   * Lists all devices on the account
+   */
+  async onPairListDevices({ oAuth2Client }) {
+    const devices = await oAuth2Client.getAllDevices();
+    return devices.map(({ system, device }) => ({
+      name: `${device.product.name} (${system.name})`,
+      data: {
+        systemId: system.systemId,
+        systemName: system.name,
+        deviceId: device.id,
+        deviceSerial: device.product.serialNumber,
+        deviceName: device.product.name
+      }
+    }));
+  }
+
+}
+
+module.exports = MyUplinkDriver;
@@ -5,31 +5,69 @@
 'use strict';
 
 const { OAuth2Device } = require('homey-oauth2app');
+const ParameterCatalog = require('../../lib/ParameterCatalog');
+const ParameterValidationError = require('../../lib/ParameterValidationError');
+const AlarmMonitor = require('../../lib/AlarmMonitor');
+const CommandQueue = require('../../lib/CommandQueue');
+const StateHistory = require('../../lib/StateHistory');
+const LegionellaScheduler = require('../../lib/LegionellaScheduler');
+const ElementEnergy = require('../../lib/ElementEnergy');
+const ConnectionMonitor = require('../../lib/ConnectionMonitor');
+const DeviceProfiles = require('../../lib/DeviceProfiles');
+const SpotPriceOptimizer = require('../../lib/SpotPriceOptimizer');
+const HeatUpPlanner = require('../../lib/HeatUpPlanner');
+const LeakageCalibrator = require('../../lib/LeakageCalibrator');
+const DrawDetector = require('../../lib/DrawDetector');
+const EnergyAccounting = require('../../lib/EnergyAccounting');
 
 const retryOnErrorWaitTime = 10000; // ms
 const retryOnOkWaitTime = 5000; // ms
+const firmwareCheckInterval = 6 * 60 * 60 * 1000; // ms
+const HOUR = 60 * 60 * 1000; // ms
+const DAY = 24 * HOUR; // ms
+const minLeakageConfidence = 50; // %, the fitted leakage constant is used from this confidence
 
-// Device types
-const DEVICE_TYPE_CONNECTED_200 = 1;
-const DEVICE_TYPE_CONNECTED_300 = 2;
-const DEVICE_TYPE_UNKNOWN = undefined;
-
-// Connected 200 constants
-const CONNECTED_200_PROPERTIES = {
-  size: 187,
-  element1_power: 700,
-  element2_power: 1300,
-  leakage_constant: 1.58
+// Device types stored by earlier versions of the app, replaced by the device profiles
+const legacyDeviceTypes = {
+  1: 'connected-200',
+  2: 'connected-300'
 };
 
-// Connected 300 constants
-const CONNECTED_300_PROPERTIES = {
-  size: 283,
-  element1_power: 1250,
-  element2_power: 1750,
-  leakage_constant: undefined
+// Programs (point 500)
+const PROGRAM_EXTERNAL = 8; // Controlled by Homey
+const PROGRAM_LEGIONELLA = 9;
+const PROGRAM_VACATION = 10;
+const PROGRAM_BOOST = 11;
+
+// Ids of the heater_program capability for the programs known from the Connected 200
+const programIds = {
+  0: 'test',
+  1: 'off',
+  2: 'sleep',
+  3: 'eco',
+  4: 'normal',
+  5: 'express',
+  6: 'smart',
+  7: 'schedule',
+  8: 'external',
+  9: 'legionella',
+  10: 'vacation',
+  11: 'boost'
 };
 
+// Converts a program (point 406 or 500) to a heater_program id, unknown programs get a generic id
+function getProgramId(value) {
+  return programIds[value] || `program_${value}`;
+}
+
+// Converts a heater_program id to a program, undefined if the id is not valid
+function getProgramValue(id) {
+  const known = Object.keys(programIds).find(value => programIds[value] === id);
+  if (known !== undefined) return +known;
+  const match = String(id).match(/^program_(\d+)$/);
+  return match ? +match[1] : undefined;
+}
+
 // Mapping between settings and controller keys
 const keyMap = {
   ambient_temperature: '100',
@@ -37,6 +75,10 @@ const keyMap = {
   max_water_flow: '512',
   regulation_diff: '516',
   legionella_frequency: '511',
+  display_dim_timeout: '304',
+  display_off_timeout: '305',
+  power_diff: '307',
+  timezone_offset: '308',
   controling_device: '500',
   nordpool_price_region: '544',
   num_expensive_hours: '545',
@@ -49,6 +91,24 @@ const keyMap = {
   HeaterNomPower2: '504'
 };
 
+// Points that are not available on all tanks, these settings are left out when the tank does not report them
+const optionalKeys = ['304', '305', '307', '308'];
+
+// Mapping between myUplink smart home modes and the smart_home_mode capability
+const smartHomeModeMap = {
+  Default: 'default',
+  Normal: 'home',
+  Home: 'home',
+  Away: 'away',
+  Vacation: 'vacation'
+};
+const smartHomeModeReverseMap = {
+  default: 'Default',
+  home: 'Home',
+  away: 'Away',
+  vacation: 'Vacation'
+};
+
 // Clones an associative array
 function clone(obj) {
   if (obj == null || typeof obj !== 'object') return obj;
@@ -59,6 +119,52 @@ function clone(obj) {
   return copy;
 }
 
+// Minutes the time zone is ahead of UTC at the given time, including daylight saving time
+function getTimezoneOffset(date, timeZone) {
+  // Both strings are parsed the same way, so the difference is the offset of the time zone
+  const local = new Date(date.toLocaleString('en-US', { timeZone }));
+  const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return Math.round((local - utc) / 60000);
+}
+
+// Converts a date from a flow card (dd-mm-yyyy) to ms since epoch at the start of that day in the given time zone
+function parseFlowDate(date, timeZone) {
+  const match = String(date).match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+  if (!match) return NaN;
+  const utcMidnight = new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  return utcMidnight.getTime() - getTimezoneOffset(utcMidnight, timeZone) * 60000;
+}
+
+// Litres of water at the tap temperature that can be mixed from hot water and cold water from the inlet
+function getMixedVolume({
+  volume, temperature, inletTemperature, tapTemperature
+}) {
+  if (!(temperature > tapTemperature) || !(tapTemperature > inletTemperature)) return 0;
+  return (volume * (temperature - inletTemperature)) / (tapTemperature - inletTemperature);
+}
+
+// Returns the start of the day in the given time zone
+function getStartOfDay(time, timeZone) {
+  const offset = getTimezoneOffset(new Date(time), timeZone) * 60000;
+  const start = Math.floor((time + offset) / DAY) * DAY - offset;
+  // On days with a daylight saving change the offset at midnight differs from the offset now
+  return start + offset - getTimezoneOffset(new Date(start), timeZone) * 60000;
+}
+
+// Returns the start of the week (monday) in the given time zone
+function getStartOfWeek(time, timeZone) {
+  const dayStart = getStartOfDay(time, timeZone);
+  const weekday = new Date(dayStart + getTimezoneOffset(new Date(dayStart), timeZone) * 60000).getUTCDay();
+  return getStartOfDay(dayStart - ((weekday + 6) % 7) * DAY + 12 * HOUR, timeZone); // Noon avoids daylight saving changes
+}
+
+// Returns the start of the month in the given time zone
+function getStartOfMonth(time, timeZone) {
+  const dayStart = getStartOfDay(time, timeZone);
+  const date = new Date(dayStart + getTimezoneOffset(new Date(dayStart), timeZone) * 60000).getUTCDate();
+  return getStartOfDay(dayStart - (date - 1) * DAY + 12 * HOUR, timeZone); // Noon avoids daylight saving changes
+}
+
 // Wait for a few millisecconds
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -70,7 +176,10 @@ class MyHoiaxDevice extends OAuth2Device {
     // 1) Send commands to device
     //    Value 0 = Off, 1 = this.HeaterNomPower, 2 = this.HeaterNomPower2, 3 = this.HeaterNomPower+this.HeaterNomPower2
     const power = turnOn ? newPower : 0;
-    return this.oAuth2Client.setDevicePoint(deviceId, { 517: power })
+    const write = this.isLegionellaCycleRunning()
+      ? this.deferDuringLegionellaCycle({ power })
+      : this.writeDevicePoints({ 517: power });
+    return write
       .then(onoffResponse => {
         if (onoffResponse) {
           this.setAvailable(); // In case it was set to unavailable
@@ -83,7 +192,7 @@ class MyHoiaxDevice extends OAuth2Device {
         return this.setCapabilityValue(this.max_power_capability_name, newPowerText);
       })
       .then(() => {
-        const newPowerWatt = (newPower === 1) ? this.HeaterNomPower : (newPower === 2) ? this.HeaterNomPower2 : (this.HeaterNomPower + this.HeaterNomPower2);
+        const newPowerWatt = this.getLevelPower(newPower);
 
         // 3) Send trigger action
         if (newPower !== this.max_power) {
@@ -101,26 +210,194 @@ class MyHoiaxDevice extends OAuth2Device {
         return Promise.resolve();
       })
       .catch(err => {
+        if (err instanceof ParameterValidationError) {
+          return Promise.reject(err);
+        }
         const newErr = `myUplink error: ${err}`;
         this.setUnavailable(newErr);
         return Promise.reject(newErr);
       });
   }
 
+  // The power of each level depends on the elements of the tank, so the titles are built from the profile
+  async updateMaxPowerOptions() {
+    const values = DeviceProfiles.getPowerLevels(this.profile).map(level => ({
+      id: level.id,
+      title: this.homey.__(`maxPower.${level.id}`, { power: level.power })
+    }));
+    const options = JSON.stringify(values); // Also changes with the language of Homey
+    if (options === this.getStoreValue('maxPowerOptions')) return;
+    await this.setCapabilityOptions(this.max_power_capability_name, { values });
+    await this.setStoreValue('maxPowerOptions', options);
+  }
+
+  // Lists the power levels of the tank for flow cards
+  getMaxPowerAutocomplete(query) {
+    return DeviceProfiles.getPowerLevels(this.profile)
+      .map(level => ({ id: level.id, name: this.homey.__(`maxPower.${level.id}`, { power: level.power }) }))
+      .filter(item => item.name.toLowerCase().includes(String(query).toLowerCase()));
+  }
+
+  // Changes the max power, value is one of low_power, medium_power or high_power
+  async setMaxPower(value) {
+    let newPower = 3; // High power
+    if (value === 'low_power') {
+      newPower = 1;
+    } else if (value === 'medium_power') {
+      newPower = 2;
+    }
+    return this.setPowerLevel(this.is_on, newPower);
+  }
+
+  /**
+   * Limits the heater to a power budget, the elements that give the most power within the budget are used.
+   * While the spot price optimizer is in control it keeps planning the heating, but only with the elements within the budget.
+   * @param budget W, the heater is turned off if not even the smallest element fits
+   * @return the power chosen (W)
+   */
+  async setPowerBudget(budget) {
+    this.powerBudget = budget;
+    await this.setStoreValue('powerBudget', budget);
+    if (this.isOptimizerInControl(Date.now())) {
+      const before = this.is_on ? this.getLevelPower(this.max_power) : 0;
+      this.optimizerWritten = undefined; // Apply the plan again, capped by the new budget
+      const power = await this.checkOptimizer(this.prevProgram, this.getCapabilityValue('meter_power.in_tank'));
+      if (power !== before) {
+        await this.driver.ready();
+        this.driver.triggerMaxPowerChanged(this, { max_power: power }, {});
+      }
+      return power;
+    }
+    const level = DeviceProfiles.getLevelForBudget(this.profile, budget);
+    const wasOn = this.is_on;
+    const prevLevel = this.max_power;
+    await this.setPowerLevel(!!level, level ? level.level : this.max_power);
+    const power = level ? level.power : 0;
+    // setHeaterState only sees changes of the power level, turning the heater on or off is also a change of the power budget
+    if (wasOn !== !!level && (!level || level.level === prevLevel)) {
+      await this.driver.ready();
+      this.driver.triggerMaxPowerChanged(this, { max_power: power }, {});
+    }
+    return power;
+  }
+
+  // Sets the heater state and power level (point 517) and plans the heating for a deadline again
+  async setPowerLevel(turnOn, level) {
+    return this.setHeaterState(this.deviceId, turnOn, level)
+      .then(() => {
+        // The heating for a deadline has to start at another time with the new power
+        if (!this.readyBy.isActive()) return Promise.resolve();
+        return this.checkReadyBy(this.prevProgram, this.getCapabilityValue('measure_temperature'));
+      });
+  }
+
+  // Power of a power level (point 517) in W, level 1 is element 1, level 2 element 2 and level 3 both
+  getLevelPower(level) {
+    return (level === 1) ? this.HeaterNomPower : (level === 2) ? this.HeaterNomPower2 : (this.HeaterNomPower + this.HeaterNomPower2);
+  }
+
+  /**
+   * Writes device points through the command queue.
+   * The values are validated and rounded before they are queued, so the queue holds the values that are actually sent.
+   * The writes are kept in the queue until the tank reports the new values, see processCommandQueue
+   */
+  async writeDevicePoints(points) {
+    const parameters = this.oAuth2Client.validateDevicePoints(this.deviceId, points);
+    const confirmed = this.oAuth2Client.getConfirmedDevicePoints(this.deviceId);
+    const queuedKeys = this.commandQueue.getParameterIds();
+    const changed = {};
+    for (const key of Object.keys(parameters)) {
+      // eslint-disable-next-line eqeqeq
+      if (!(key in confirmed) || queuedKeys.includes(String(key)) || confirmed[key] != parameters[key]) {
+        changed[key] = parameters[key];
+      }
+    }
+    if (Object.keys(changed).length === 0) {
+      return true; // Nothing to do
+    }
+    this.commandQueue.enqueue(changed);
+    return this.flushCommandQueue();
+  }
+
+  // Sends all pending commands
+  async flushCommandQueue() {
+    const parameters = this.commandQueue.getPendingParameters();
+    const keys = Object.keys(parameters);
+    if (keys.length === 0) {
+      return true;
+    }
+    try {
+      const response = await this.oAuth2Client.setDevicePoint(this.deviceId, parameters);
+      this.commandQueue.markSent(keys);
+      return response;
+    } catch (err) {
+      if (err instanceof ParameterValidationError) {
+        // Will never succeed, so do not retry
+        this.commandQueue.remove(keys);
+      } else {
+        this.reportFailedCommands(this.commandQueue.markError(keys, err.message));
+      }
+      throw err;
+    } finally {
+      this.setStoreValue('commandQueue', this.commandQueue.toJSON()).catch(this.error);
+    }
+  }
+
+  // Confirms sent commands against the polled values and resends those that timed out
+  async processCommandQueue(devPoints) {
+    const lengthBefore = this.commandQueue.length;
+    const confirmedCommands = this.commandQueue.confirm(devPoints);
+    confirmedCommands.forEach(command => this.log(`Command confirmed: ${command.parameterId} = ${command.value}`));
+    this.reportFailedCommands(this.commandQueue.expire());
+    if (Object.keys(this.commandQueue.getPendingParameters()).length > 0) {
+      return this.flushCommandQueue(); // Also saves the queue
+    }
+    if (this.commandQueue.length !== lengthBefore) {
+      await this.setStoreValue('commandQueue', this.commandQueue.toJSON());
+    }
+    return true;
+  }
+
+  // Lets the user know about commands that were given up
+  reportFailedCommands(commands) {
+    if (commands.length === 0) return;
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    this.driver.ready()
+      .then(() => {
+        for (const command of commands) {
+          const param = catalog ? catalog.get(command.parameterId) : undefined;
+          const tokens = {
+            parameter_id: +command.parameterId,
+            parameter: param ? param.name : command.parameterId,
+            value: String(command.value),
+            error: command.lastError || ''
+          };
+          this.log(`Command failed: ${JSON.stringify(tokens)}`);
+          this.driver.triggerCommandFailed(this, tokens, {});
+        }
+      })
+      .catch(this.error);
+  }
+
   async setAmbientTemp(deviceId, ambientTemp) {
     if ((Number.isNaN(+ambientTemp)) || (this.outsideTemp === ambientTemp)) {
       return Promise.resolve();
     }
     ambientTemp = Math.round(+ambientTemp);
     // Apply clamp to avoid myUplink errors
-    if (ambientTemp < 10) ambientTemp = 10;
-    if (ambientTemp > 35) ambientTemp = 35;
+    const catalog = this.oAuth2Client.getParameterCatalog(deviceId);
+    if (catalog && catalog.has(keyMap['ambient_temperature'])) {
+      ambientTemp = catalog.clamp(keyMap['ambient_temperature'], ambientTemp);
+    } else {
+      if (ambientTemp < 10) ambientTemp = 10;
+      if (ambientTemp > 35) ambientTemp = 35;
+    }
     // this.log("New ambient temperature:" + String(ambientTemp))
     this.setSettings({ ambient_temperature: ambientTemp });
     this.outsideTemp = ambientTemp;
     const keyChange = {};
     keyChange[keyMap['ambient_temperature']] = this.outsideTemp;
-    return this.oAuth2Client.setDevicePoint(deviceId, keyChange)
+    return this.writeDevicePoints(keyChange)
       .then(response => {
         if (response) {
           this.setAvailable(); // In case it was set to unavailable
@@ -128,7 +405,9 @@ class MyHoiaxDevice extends OAuth2Device {
         return Promise.resolve();
       })
       .catch(err => {
-        this.setUnavailable(`Network problem: ${err.message}`);
+        if (!(err instanceof ParameterValidationError)) {
+          this.setUnavailable(this.getUnavailableMessage(err));
+        }
         return Promise.reject(err);
       });
   }
@@ -152,7 +431,7 @@ class MyHoiaxDevice extends OAuth2Device {
     toSetSettings.SerialNo = String(toSetSettings.SerialNo); // Also in this.getData().deviceId
     toSetSettings.HeaterNomPower = String(toSetSettings.HeaterNomPower);
     toSetSettings.HeaterNomPower2 = String(toSetSettings.HeaterNomPower2);
-    toSetSettings.LeakageConstant = `${String(this.leakageConstant)} W/Δ°C`;
+    toSetSettings.LeakageConstant = this.getLeakageConstantText();
     toSetSettings.systemId = String(this.getData().systemId);
     toSetSettings.systemName = String(this.getData().systemName);
     toSetSettings.deviceId = String(this.getData().deviceId);
@@ -170,32 +449,60 @@ class MyHoiaxDevice extends OAuth2Device {
       let available = true;
       this.setUnavailable('Initializing device.');
       this.deviceId = this.getData().deviceId;
-      this.intervalID = undefined;
+      this.systemId = this.getData().systemId;
       this.initializeID = undefined;
-      this.deviceType = this.getStoreValue('deviceType');
+      this.profile = this.getStoreValue('profile');
       this.killed = false;
 
-      // If device type has not been detected previously, detect it once and for all
-      if (!this.deviceType) {
-        let tankSize;
-        while (!Array.isArray(tankSize) || tankSize.length !== 1) {
+      // The login was revoked before the app was restarted, wait for the device to be repaired
+      if (!this.oAuth2Client.isLoggedIn()) {
+        await this.onOAuth2Expired();
+        return;
+      }
+      this.reauthRequired = false;
+      // In case this device was just repaired, the other devices on the same account can now recover
+      this.driver.ready()
+        .then(() => this.driver.recoverDevices(this.oAuth2Client))
+        .catch(this.error);
+
+      // Writes that were not confirmed before the app was restarted are restored and resent
+      this.commandQueue = new CommandQueue({
+        commands: this.getStoreValue('commandQueue') || [],
+        timeout: (this.getSetting('command_timeout') || 15) * 60 * 1000,
+        maxRetries: (this.getSetting('command_retries') === null) ? 3 : this.getSetting('command_retries')
+      });
+
+      // Devices added by earlier versions of the app only know the device type
+      const legacyProfileId = legacyDeviceTypes[this.getStoreValue('deviceType')];
+      if (!this.profile && legacyProfileId) {
+        this.profile = DeviceProfiles.detect({ size: DeviceProfiles.get(legacyProfileId).size });
+        this.setStoreValue('profile', this.profile).catch(this.error);
+      }
+
+      // If the device profile has not been detected previously, detect it once and for all
+      if (!this.profile) {
+        const hasTankSize = points => Array.isArray(points) && points.some(point => String(point.parameterId) === keyMap.TankVolume);
+        let points;
+        while (!hasTankSize(points)) {
           try {
-            tankSize = await this.oAuth2Client.getDevicePoints(this.deviceId, keyMap.TankVolume);
-            if (!Array.isArray(tankSize) || tankSize.length !== 1) {
+            points = await this.oAuth2Client.getDevicePoints(this.deviceId, `${keyMap.TankVolume},503,504`);
+            if (!hasTankSize(points)) {
               await sleep(retryOnOkWaitTime);
             }
           } catch (err) {
-            tankSize = undefined;
-            this.setUnavailable(`Network problem: ${err.message}`);
+            if (this.killed) throw err; // i.e. the login was revoked
+            points = undefined;
+            this.setUnavailable(this.getUnavailableMessage(err));
             await sleep(retryOnErrorWaitTime);
           }
         }
-        switch (parseInt(tankSize[0].value, 10)) {
-          case CONNECTED_200_PROPERTIES.size: this.deviceType = DEVICE_TYPE_CONNECTED_200; break;
-          case CONNECTED_300_PROPERTIES.size: this.deviceType = DEVICE_TYPE_CONNECTED_300; break;
-          default: this.deviceType = DEVICE_TYPE_UNKNOWN; break;
-        }
-        this.setStoreValue('deviceType', this.deviceType).catch(this.error);
+        const values = {};
+        points.forEach(point => {
+          values[String(point.parameterId)] = parseInt(point.value, 10);
+        });
+        this.profile = DeviceProfiles.detect({ size: values['526'], element1Power: values['504'], element2Power: values['503'] });
+        this.log(`Detected device profile: ${JSON.stringify(this.profile)}`);
+        this.setStoreValue('profile', this.profile).catch(this.error);
       }
 
       // Capability update from version 1.3.3
@@ -214,9 +521,82 @@ class MyHoiaxDevice extends OAuth2Device {
         await this.addCapability('button.reset_leakage');
       }
 
+      // Capability update for alarms
+      if (!this.hasCapability('alarm_generic')) {
+        await this.addCapability('alarm_generic');
+      }
+      if (!this.hasCapability('alarm_text')) {
+        await this.addCapability('alarm_text');
+      }
+
+      // Capability update for smart home mode
+      if (!this.hasCapability('smart_home_mode')) {
+        await this.addCapability('smart_home_mode');
+      }
+
+      // Capability update for boost and vacation
+      if (!this.hasCapability('program_time_left')) {
+        await this.addCapability('program_time_left');
+      }
+
+      // Capability update for legionella prevention
+      if (!this.hasCapability('legionella_last')) {
+        await this.addCapability('legionella_last');
+      }
+      if (!this.hasCapability('legionella_next')) {
+        await this.addCapability('legionella_next');
+      }
+
+      // Capability update for connection monitoring
+      if (!this.hasCapability('connection_quality')) {
+        await this.addCapability('connection_quality');
+      }
+
+      // Capability update for the heater program
+      if (!this.hasCapability('heater_program')) {
+        await this.addCapability('heater_program');
+      }
+
+      // Capability update for the hot water estimate
+      if (!this.hasCapability('hot_water_available')) {
+        await this.addCapability('hot_water_available');
+      }
+      if (!this.hasCapability('showers_remaining')) {
+        await this.addCapability('showers_remaining');
+      }
+
+      // Capability update for the heat-up prediction
+      if (!this.hasCapability('heat_up_time')) {
+        await this.addCapability('heat_up_time');
+      }
+
+      // Capability update for hot water draws
+      for (const capability of ['hot_water_used.day', 'hot_water_used.week', 'meter_power.drawn_day', 'meter_power.drawn_week']) {
+        if (!this.hasCapability(capability)) {
+          await this.addCapability(capability);
+        }
+      }
+
+      // Capability update for energy accounting
+      for (const capability of ['meter_power.today', 'meter_power.month', 'meter_power.leak_today', 'meter_power.leak_month',
+        'energy_cost.today', 'energy_cost.month', 'measure_power.peak', 'measure_humidity.peak_share']) {
+        if (!this.hasCapability(capability)) {
+          await this.addCapability(capability);
+        }
+      }
+
+      // Capability update for the heating elements
+      for (const capability of ['element_on', 'element_runtime', 'meter_power']) {
+        for (const element of ['element1', 'element2']) {
+          if (!this.hasCapability(`${capability}.${element}`)) {
+            await this.addCapability(`${capability}.${element}`);
+          }
+        }
+      }
+
       // Capability update from version 1.6.0
       // In case the tank is Connected 300 the capability is wrong
-      if (this.hasCapability('max_power') && (this.deviceType === DEVICE_TYPE_CONNECTED_300)) {
+      if (this.hasCapability('max_power') && (this.profile.id === 'connected-300')) {
         this.log('Performing Connected 300 fix');
         await this.removeCapability('max_power');
         await this.addCapability('max_power_3000');
@@ -225,13 +605,12 @@ class MyHoiaxDevice extends OAuth2Device {
       // As a consequence of version 1.6.0 the max_power capability is now device specific
       if (this.hasCapability('max_power')) {
         this.max_power_capability_name = 'max_power';
-        this.max_power_action_name = 'change-maxpower';
       } else if (this.hasCapability('max_power_3000')) {
         this.max_power_capability_name = 'max_power_3000';
-        this.max_power_action_name = 'change-maxpower-3000';
       } else {
         throw new Error('This device is broken, please delete it and reinstall it');
       }
+      await this.updateMaxPowerOptions();
 
       // A bug introduced on July 20th 2022 12:14 PM set the prevAccumTime incorrect and as such completely invalidate this.accumulatedLeakage
       if (this.getStoreValue('prevAccumTime') === null) {
@@ -248,31 +627,66 @@ class MyHoiaxDevice extends OAuth2Device {
         this.log('July20thBug handled');
       }
 
+      // Alarms known to be active when the app was last running
+      this.alarmMonitor = new AlarmMonitor(this.getStoreValue('activeAlarms') || []);
+
+      // History of the tank state, saved about once an hour
+      this.history = new StateHistory(this.getStoreValue('history'));
+
+      // Boost or vacation started from a flow, see startProgram
+      this.program = this.getStoreValue('program');
+
+      // Legionella cycles run by Homey, a cycle that was running when the app was stopped continues
+      this.legionella = new LegionellaScheduler(this.getStoreValue('legionella'));
+
+      // Energy used by each heating element, saved about once an hour
+      this.elementEnergy = new ElementEnergy(this.getStoreValue('elementEnergy'));
+      this.elementEnergySaveTime = Date.now();
+
+      // Uptime counters from the previous poll
+      this.connectionMonitor = new ConnectionMonitor(this.getStoreValue('connection'));
+      this.connectionSaveTime = Date.now();
+
+      // Spot prices given by flows, the heating is planned again at every poll
+      this.optimizer = new SpotPriceOptimizer(this.getStoreValue('optimizer'));
+      this.optimizerWritten = undefined; // The hour and values last written by the optimizer
+      // Power limit from the power budget flows (W), the optimizer never plans above it
+      const powerBudget = this.getStoreValue('powerBudget');
+      this.powerBudget = (powerBudget === null) ? undefined : powerBudget;
+
+      // Heating that has to be done by a deadline, see setReadyBy
+      this.readyBy = new HeatUpPlanner(this.getStoreValue('readyBy'));
+
       // Initial state for leakage heat
       this.prevRelationTime = undefined;
       this.prevRelationUse = undefined;
       this.prevRelationLeak = undefined;
+      this.prevRelationDrawn = undefined;
+
+      // Hot water draws, saved about once an hour and after every draw
+      this.drawDetector = new DrawDetector(this.getStoreValue('draws'));
+      this.drawSaveTime = Date.now();
+      // Energy and cost per hour, day and month, saved about once an hour
+      this.energyAccounting = new EnergyAccounting(this.getStoreValue('energy'));
+      this.energyAccountingSaveTime = Date.now();
       this.prevAccumTime = new Date(this.getStoreValue('prevAccumTime'));
       this.accumulatedLeakage = this.getStoreValue('accumulatedLeakage');
       if (!(this.prevAccumTime instanceof Date) || this.getStoreValue('prevAccumTime') === null) this.prevAccumTime = new Date();
       if (!this.accumulatedLeakage) this.accumulatedLeakage = 0;
-      const deviceProperties = (this.deviceType === DEVICE_TYPE_CONNECTED_300) ? CONNECTED_300_PROPERTIES : CONNECTED_200_PROPERTIES;
-      this.leakageConstant = deviceProperties.leakage_constant; // Set it static here because those running debug versions have incorrect leakage
-      if (!this.leakageConstant) {
-        // In case the leakage constant has not been measured for a device, just scale a known one to have something until
-        // it is more accurate
-        this.leakageConstant = (CONNECTED_200_PROPERTIES.leakage_constant * deviceProperties.size) / CONNECTED_200_PROPERTIES.size;
-      }
+      // The leakage constant is measured in idle periods, until then the one from the device profile is used
+      this.leakageCalibrator = new LeakageCalibrator(this.getStoreValue('leakageCalibration'));
+      this.leakageCalibrationSaveTime = Date.now();
+      this.updateLeakageConstant();
 
       // Defaults for values fetched from myUplink in case myUplink is unavailable
       this.outsideTemp = 24; // Updated by a flow if set up
-      this.tankVolume = deviceProperties.size;
-      this.HeaterNomPower = deviceProperties.element1_power;
-      this.HeaterNomPower2 = deviceProperties.element2_power;
+      this.tankVolume = this.profile.size;
+      this.HeaterNomPower = this.profile.element1_power;
+      this.HeaterNomPower2 = this.profile.element2_power;
 
-      // === Debug code to show if new features has been added ===
-      // let all_features = await this.oAuth2Client.getDevicePoints(this.deviceId);
-      // this.log(JSON.stringify(all_features))
+      // Metadata for all device points, used to validate writes before they are sent to myUplink
+      await this.initializeParameterCatalog();
+      await this.updateProgramOptions().catch(this.error);
 
       // Fetch the heater mode in order to set it to Homey and check if myuplink is broken
       let heaterMode;
@@ -283,8 +697,9 @@ class MyHoiaxDevice extends OAuth2Device {
             await sleep(retryOnOkWaitTime);
           }
         } catch (err) {
+          if (this.killed) throw err; // i.e. the login was revoked
           heaterMode = undefined;
-          this.setUnavailable(`Network problem: ${err.message}`);
+          this.setUnavailable(this.getUnavailableMessage(err));
           await sleep(retryOnErrorWaitTime);
         }
       }
@@ -292,22 +707,13 @@ class MyHoiaxDevice extends OAuth2Device {
         // Given the while loop above this should not happen so throw error
         throw new Error(`Problems reading heater mode: ${heaterMode.message}`);
       }
-      // Check if myUplink is broken. Apparently version 1.23 (2262) is
-      this.brokenSpotPrice = true;
-      for (let i = 0; i < heaterMode[0].enumValues.length; i++) {
-        if (heaterMode[0].enumValues[i].value === '6') {
-          this.brokenSpotPrice = false;
-        }
-      }
-      if (this.brokenSpotPrice) {
-        this.log('The Spot Price setting seem to be broken and will be disabled');
-      }
+      this.updateBrokenSpotPrice(heaterMode[0].enumValues);
 
       // Make sure that the Heater mode is controllable - set to External mode (but only if first time the app is run)
       this.isFirstTime = this.getStoreValue('isFirstTime') === null;
       if (this.isFirstTime) {
         if (heaterMode[0].value !== '8') { // 8 == External
-          await this.oAuth2Client.setDevicePoint(this.deviceId, { 500: '8' })
+          await this.writeDevicePoints({ 500: '8' })
             .then(response => {
               if (response) {
                 available = true;
@@ -317,7 +723,7 @@ class MyHoiaxDevice extends OAuth2Device {
             })
             .catch(err => {
               available = false;
-              this.setUnavailable(`Network problem: ${err.message}`);
+              this.setUnavailable(this.getUnavailableMessage(err));
             });
         }
         this.isFirstTime = false;
@@ -340,27 +746,13 @@ class MyHoiaxDevice extends OAuth2Device {
       if (this.brokenSpotPrice) {
         statesLeft = statesLeft.filter(value => +value < 544 || +value > 548);
       }
+      // Optional points are only known to be missing from a full catalog, without it they are read once the
+      // catalog has been fetched, as asking for a point the tank does not have would stall the init
+      const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+      statesLeft = statesLeft.filter(value => !optionalKeys.includes(value)
+        || (this.parameterCatalogComplete && catalog.has(value)));
       await this.initializeInternalStates(statesLeft);
 
-      // Custom flows
-      const OnMaxPowerAction = this.homey.flow.getActionCard(this.max_power_action_name);
-
-      OnMaxPowerAction.registerRunListener(async state => {
-        return this.setHeaterState(
-          this.deviceId,
-          this.is_on,
-          (state['max_power'] === 'low_power') ? 1
-            : (state['max_power'] === 'medium_power') ? 2
-              : 3
-        );
-      });
-
-      const OnAmbientAction = this.homey.flow.getActionCard('change-ambient-temp');
-
-      OnAmbientAction.registerRunListener(async state => {
-        return this.setAmbientTemp(this.deviceId, state['ambient_temp']);
-      });
-
       // Register on/off handling
       this.registerCapabilityListener('onoff', async turnOn => {
         return this.setHeaterState(this.deviceId, turnOn, this.max_power);
@@ -373,19 +765,16 @@ class MyHoiaxDevice extends OAuth2Device {
 
       // Register max power handling
       this.registerCapabilityListener(this.max_power_capability_name, async value => {
-        let newPower = 3; // High power
-        if (value === 'low_power') {
-          newPower = 1;
-        } else if (value === 'medium_power') {
-          newPower = 2;
-        }
-        return this.setHeaterState(this.deviceId, this.is_on, newPower);
+        return this.setMaxPower(value);
       });
 
       // Register target temperature handling
       this.registerCapabilityListener('target_temperature', async value => {
         this.log('Set target temp:', value);
-        return this.oAuth2Client.setDevicePoint(this.deviceId, { 527: value })
+        const write = this.isLegionellaCycleRunning()
+          ? this.deferDuringLegionellaCycle({ target: value })
+          : this.writeDevicePoints({ 527: value });
+        return write
           .then(response => {
             if (response) {
               this.setAvailable(); // In case it was set to unavailable
@@ -393,11 +782,23 @@ class MyHoiaxDevice extends OAuth2Device {
             return Promise.resolve();
           })
           .catch(err => {
-            this.setUnavailable(`Network problem: ${err.message}`);
+            if (!(err instanceof ParameterValidationError)) {
+              this.setUnavailable(this.getUnavailableMessage(err));
+            }
             return Promise.reject(err);
           });
       });
 
+      // Register program handling
+      this.registerCapabilityListener('heater_program', async value => {
+        return this.setHeaterProgram(value);
+      });
+
+      // Register smart home mode handling
+      this.registerCapabilityListener('smart_home_mode', async value => {
+        return this.setSmartHomeMode(value);
+      });
+
       // Register maintainance action to reset accumulater leakage heat
       this.registerCapabilityListener('button.reset_leakage', async () => {
         this.log('Accumulated leakage was reset');
@@ -413,19 +814,200 @@ class MyHoiaxDevice extends OAuth2Device {
     }
   }
 
+  // Restores the parameter catalog from the store, or builds it from the live device points
+  // the first time. Validation is simply skipped for as long as no catalog is available.
+  async initializeParameterCatalog() {
+    this.parameterCatalogComplete = false;
+    const storedCatalog = this.getStoreValue('parameterCatalog');
+    if (storedCatalog) {
+      this.oAuth2Client.setParameterCatalog(this.deviceId, ParameterCatalog.fromJSON(storedCatalog));
+      this.parameterCatalogComplete = true;
+      return;
+    }
+    try {
+      await this.refreshParameterCatalog();
+    } catch (err) {
+      this.log(`Could not fetch the parameter catalog, will try again at the next poll: ${err.message}`);
+    }
+  }
+
+  // Builds the parameter catalog from scratch, i.e. after a firmware update that added or removed points.
+  // The current catalog is only replaced when a new one could be built, so validation is never lost.
+  async refreshParameterCatalog() {
+    const catalog = await this.oAuth2Client.fetchParameterCatalog(this.deviceId);
+    if (!catalog || catalog.size === 0) {
+      throw new Error('No device points received for the parameter catalog');
+    }
+    this.oAuth2Client.setParameterCatalog(this.deviceId, catalog);
+    this.parameterCatalogComplete = true;
+    await this.setStoreValue('parameterCatalog', catalog.toJSON());
+    this.log(`Parameter catalog created with ${catalog.size} parameters`);
+    return catalog;
+  }
+
+  // Updates what depends on the points and enum values of the tank after the catalog was built
+  async applyParameterCatalog(catalog) {
+    if (catalog.has(keyMap.controling_device)) {
+      this.updateBrokenSpotPrice(catalog.getEnumValues(keyMap.controling_device));
+    }
+    await this.updateProgramOptions();
+    await this.updateOptionalSettings(catalog);
+  }
+
+  // Reads the settings of the optional points the tank has, these are left out at init when the catalog is not known
+  async updateOptionalSettings(catalog) {
+    if (!this.reverseKeyMap) return; // Still initializing, the settings are read by initializeInternalStates
+    const keys = optionalKeys.filter(key => catalog.has(key));
+    if (keys.length === 0) return;
+    const points = await this.oAuth2Client.getDevicePoints(this.deviceId, keys.join(','));
+    const settings = {};
+    for (const point of points) {
+      settings[this.reverseKeyMap[point.parameterId]] = point.value;
+    }
+    await this.setSettings(settings);
+  }
+
+  // Retries building the parameter catalog when it could not be fetched at init
+  async checkParameterCatalog() {
+    if (this.parameterCatalogComplete) return;
+    const catalog = await this.refreshParameterCatalog();
+    await this.applyParameterCatalog(catalog);
+  }
+
+  // Check if myUplink is broken. Apparently version 1.23 (2262) is
+  updateBrokenSpotPrice(enumValues) {
+    this.brokenSpotPrice = !enumValues.some(item => String(item.value) === '6');
+    if (this.brokenSpotPrice) {
+      this.log('The Spot Price setting seem to be broken and will be disabled');
+    }
+  }
+
+  /**
+   * Checks if the firmware of the tank has changed, at most once every firmwareCheckInterval.
+   * A new firmware can add or remove points and enum values, so these are detected again.
+   */
+  async checkFirmware() {
+    if (this.firmwareCheckTime !== undefined && (Date.now() - this.firmwareCheckTime) < firmwareCheckInterval) {
+      return;
+    }
+    this.firmwareCheckTime = Date.now();
+    const response = await this.oAuth2Client.getDeviceInfo(this.deviceId);
+    if (!response || !response.firmware || !response.firmware.currentFwVersion) {
+      return;
+    }
+    const newVersion = String(response.firmware.currentFwVersion);
+    const oldVersion = this.getSetting('firmwareVersion');
+    if (newVersion === oldVersion) {
+      return;
+    }
+    if (['???', 'unknown', 'undefined', null].includes(oldVersion)) {
+      // First time the version is known
+      await this.setSettings({ firmwareVersion: newVersion });
+      return;
+    }
+    this.log(`Firmware changed from ${oldVersion} to ${newVersion}`);
+    try {
+      const catalog = await this.refreshParameterCatalog();
+      await this.applyParameterCatalog(catalog);
+    } catch (err) {
+      this.firmwareCheckTime = undefined; // Try again at next poll
+      throw err;
+    }
+    await this.setSettings({ firmwareVersion: newVersion });
+    await this.driver.ready();
+    this.driver.triggerFirmwareChanged(this, { old_version: oldVersion, new_version: newVersion }, {});
+  }
+
   //
   async onOAuth2Deleted() {
+    await this.onOAuth2Uninit();
+  }
+
+  // Called when the device is deleted, and before it is initialized again after a repair
+  async onOAuth2Uninit() {
     this.killed = true;
-    // Make sure the interval is cleared if it was started, otherwise it will continue to
-    // trigger but on an unknown device.
-    if (this.intervalID !== undefined) {
-      clearInterval(this.intervalID);
-      this.intervalID = undefined;
-    }
+    // Make sure polling is stopped, otherwise it will continue to trigger but on an unknown device.
+    this.driver.stopPolling(this);
     if (this.initializeID !== undefined) {
       clearTimeout(this.initializeID);
       this.initializeID = undefined;
     }
+    if (this.history) {
+      await this.setStoreValue('history', this.history.toJSON()).catch(this.error);
+    }
+    if (this.elementEnergy) {
+      await this.setStoreValue('elementEnergy', this.elementEnergy.toJSON()).catch(this.error);
+    }
+    if (this.leakageCalibrator) {
+      await this.setStoreValue('leakageCalibration', this.leakageCalibrator.toJSON()).catch(this.error);
+    }
+    if (this.drawDetector) {
+      await this.setStoreValue('draws', this.drawDetector.toJSON()).catch(this.error);
+    }
+    if (this.energyAccounting) {
+      await this.setStoreValue('energy', this.energyAccounting.toJSON()).catch(this.error);
+    }
+    if (this.connectionMonitor) {
+      await this.setStoreValue('connection', this.connectionMonitor.toJSON()).catch(this.error);
+    }
+  }
+
+  // Called when the myUplink login can no longer be refreshed, the device stays unavailable until repaired
+  async onOAuth2Expired() {
+    this.log('The myUplink login has expired');
+    this.reauthRequired = true;
+    await this.onOAuth2Uninit();
+    await this.setUnavailable(this.homey.__('errors.reauthRequired'));
+  }
+
+  // myUplink answers 409 Conflict when the tank itself is offline, other errors are between Homey and myUplink
+  getUnavailableMessage(err) {
+    if (err && err.status === 409) {
+      return this.homey.__('errors.tankOffline');
+    }
+    return `Network problem: ${err.message}`;
+  }
+
+  // Keeps the repair message until the device has been repaired, network errors would only confuse the user
+  async setUnavailable(message) {
+    return super.setUnavailable(this.reauthRequired ? this.homey.__('errors.reauthRequired') : message);
+  }
+
+  // Called every minute by the driver, returns true when the state should be refreshed
+  isPollDue(margin = 0) {
+    return this.updateStateCounter <= margin;
+  }
+
+  // Called by the driver every minute the state is not refreshed
+  skipPoll() {
+    this.updateStateCounter--;
+  }
+
+  /**
+   * Refreshes the state, called by the driver
+   * @param systemState alarms and smart home mode of the system as read by the driver
+   */
+  async pollState(systemState = {}) {
+    return this.updateState(this.deviceId)
+      .then(() => {
+        this.updateStateCounter = 4; // Wait 5 minutes to update normally
+        this.errCnt = 0;
+        // Alarms, smart home mode, catalog and firmware are not critical for the device state so failures are only logged
+        return this.checkAlarms(systemState.notifications)
+          .catch(err => this.log(`Could not check alarms: ${err.message}`))
+          .then(() => this.checkSmartHomeMode(systemState.smartHomeMode))
+          .catch(err => this.log(`Could not check smart home mode: ${err.message}`))
+          .then(() => this.checkParameterCatalog())
+          .catch(err => this.log(`Could not fetch the parameter catalog: ${err.message}`))
+          .then(() => this.checkFirmware())
+          .catch(err => this.log(`Could not check firmware: ${err.message}`))
+          .then(() => this.checkTimezone())
+          .catch(err => this.log(`Could not update the time zone: ${err.message}`));
+      })
+      .catch(err => {
+        this.updateStateCounter = Math.min(this.errCnt, 4); // Wait 1-5 minutes to update on error
+        this.errCnt += 1;
+      });
   }
 
   // Called once on onOAuth2Init - will retry to initialize device for eternity until successful
@@ -466,11 +1048,8 @@ class MyHoiaxDevice extends OAuth2Device {
       }
       if (Object.keys(fetchedStates).length > 0) {
         try {
-          fetchedStates.firmwareVersion = 'unknown';
-          const firmwareResponse = await this.oAuth2Client.getDeviceInfo(this.deviceId);
-          if (firmwareResponse && ('firmware' in firmwareResponse) && ('currentFwVersion' in firmwareResponse.firmware)) {
-            fetchedStates.firmwareVersion = firmwareResponse.firmware.currentFwVersion;
-          }
+          // Read by checkFirmware at the first poll, so a firmware update while the app was stopped is detected
+          fetchedStates.firmwareVersion = this.getSetting('firmwareVersion');
           await this.toSettings(fetchedStates);
           statesLeft = statesLeft.filter(value => {
             return !(this.reverseKeyMap[value] in fetchedStates);
@@ -511,21 +1090,7 @@ class MyHoiaxDevice extends OAuth2Device {
         await this.updateState(this.deviceId)
           .catch(err => {}); // Do not care, the setInterval below wil refresh the state anyway
         if (!this.killed) { // In some rare case onOAuth2Deleted could have happened within this actual function
-          this.intervalID = setInterval(() => {
-            if (this.updateStateCounter <= 0) {
-              this.updateState(this.deviceId)
-                .then(() => {
-                  this.updateStateCounter = 4; // Wait 5 minutes to update normally
-                  this.errCnt = 0;
-                })
-                .catch(err => {
-                  this.updateStateCounter = Math.min(this.errCnt, 4); // Wait 1-5 minutes to update on error
-                  this.errCnt += 1;
-                });
-            } else {
-              this.updateStateCounter--;
-            }
-          }, 1000 * 60 * 1);
+          this.driver.startPolling(this);
         }
         this.log('Device init complete');
         this.setAvailable();
@@ -533,6 +1098,765 @@ class MyHoiaxDevice extends OAuth2Device {
     }
   }
 
+  // Keeps the time zone offset of the tank (point 308) in sync with Homey, the offset changes with daylight saving time
+  async checkTimezone() {
+    if (this.getSetting('timezone_sync') === false) return;
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    if (catalog && catalog.size > 0 && !catalog.has(keyMap.timezone_offset)) return;
+    const offset = getTimezoneOffset(new Date(), this.homey.clock.getTimezone());
+    if (offset === this.getSetting('timezone_offset')) return;
+    this.log(`Changing the time zone offset from ${this.getSetting('timezone_offset')} to ${offset} minutes`);
+    await this.writeDevicePoints({ [keyMap.timezone_offset]: offset });
+    await this.setSettings({ timezone_offset: offset });
+  }
+
+  // Updates capabilities and flows from the active alarms of the system, for those belonging to this tank
+  async checkAlarms(response) {
+    if (!response) return; // Not read
+    const notifications = Array.isArray(response.notifications) ? response.notifications : [];
+    const ownNotifications = notifications.filter(notification => !notification.deviceId || notification.deviceId === this.deviceId);
+    const { raised, cleared } = this.alarmMonitor.update(ownNotifications);
+    if (raised.length === 0 && cleared.length === 0 && this.getCapabilityValue('alarm_text') !== null) {
+      return;
+    }
+
+    const latest = this.alarmMonitor.getLatestAlarm();
+    await this.setCapabilityValue('alarm_generic', latest !== undefined);
+    await this.setCapabilityValue('alarm_text', latest ? latest.description : this.homey.__('info.noAlarms'));
+    await this.setStoreValue('activeAlarms', this.alarmMonitor.getActiveAlarms());
+
+    await this.driver.ready();
+    for (const alarm of raised) {
+      this.log(`Alarm raised: ${JSON.stringify(alarm)}`);
+      const tokens = { code: alarm.code, severity: alarm.severity, description: alarm.description };
+      this.driver.triggerAlarmRaised(this, tokens, {});
+      if (this.getSetting('alarm_notifications')) {
+        this.homey.notifications.createNotification({
+          excerpt: this.homey.__('info.alarmRaised', { name: this.getName(), code: alarm.code, description: alarm.description })
+        }).catch(this.error);
+      }
+    }
+    for (const alarm of cleared) {
+      this.log(`Alarm cleared: ${JSON.stringify(alarm)}`);
+      const tokens = { code: alarm.code, severity: alarm.severity, description: alarm.description };
+      this.driver.triggerAlarmCleared(this, tokens, {});
+    }
+  }
+
+  // Updates the smart home mode from the mode read for the system the tank belongs to
+  async checkSmartHomeMode(response) {
+    if (response && (response.smartHomeMode in smartHomeModeMap)) {
+      await this.updateSmartHomeMode(smartHomeModeMap[response.smartHomeMode]);
+    }
+  }
+
+  // Updates the capability and triggers flows when the mode has changed
+  async updateSmartHomeMode(mode) {
+    const prevMode = this.getCapabilityValue('smart_home_mode');
+    if (mode === prevMode) {
+      return;
+    }
+    await this.setCapabilityValue('smart_home_mode', mode);
+    if (prevMode !== null) {
+      this.log(`Smart home mode changed from ${prevMode} to ${mode}`);
+      await this.driver.ready();
+      this.driver.triggerSmartHomeModeChanged(this, { mode }, {});
+    }
+  }
+
+  /**
+   * Changes the smart home mode for the system the tank belongs to.
+   * The mode is shared by all devices in the system so they are all updated.
+   * @param mode one of default, home, away and vacation
+   */
+  async setSmartHomeMode(mode) {
+    if (!(mode in smartHomeModeReverseMap)) {
+      throw new Error(`Invalid smart home mode: ${mode}`);
+    }
+    await this.oAuth2Client.setSmartHomeMode(this.systemId, smartHomeModeReverseMap[mode]);
+    const systemDevices = this.driver.getSystemDevices(this.systemId);
+    await Promise.all(systemDevices.map(device => device.updateSmartHomeMode(mode)));
+  }
+
+  // Title of a program, the known programs are translated while others use the name given by the tank
+  getProgramTitle(value) {
+    if (value in programIds) {
+      return this.homey.__(`programs.${programIds[value]}`);
+    }
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    return (catalog && catalog.getEnumText(406, value)) || String(value);
+  }
+
+  // The programs differ between firmware versions, so the capability values are built from the point metadata
+  async updateProgramOptions() {
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    if (!catalog || !catalog.has(406)) return;
+    const values = catalog.getEnumValues(406)
+      .map(item => ({ id: getProgramId(item.value), title: this.getProgramTitle(item.value) }));
+    const ids = values.map(item => item.id).join(',');
+    if (values.length === 0 || ids === this.getStoreValue('programOptions')) return;
+    await this.setCapabilityOptions('heater_program', { values });
+    await this.setStoreValue('programOptions', ids);
+  }
+
+  /**
+   * Lists the programs of a point for flow cards
+   * @param parameterId 406 for the programs the tank can run, 500 for the programs that can be selected
+   * @param query text typed by the user
+   */
+  getProgramAutocomplete(parameterId, query) {
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    const values = (catalog && catalog.has(parameterId))
+      ? catalog.getEnumValues(parameterId).map(item => +item.value)
+      : Object.keys(programIds).map(Number);
+    return values
+      .map(value => ({ id: getProgramId(value), name: this.getProgramTitle(value) }))
+      .filter(item => item.name.toLowerCase().includes(String(query).toLowerCase()));
+  }
+
+  // Switches to another program, a boost or vacation started from a flow is replaced
+  async setHeaterProgram(id) {
+    const value = getProgramValue(id);
+    if (value === undefined) {
+      throw new Error(`Invalid program: ${id}`);
+    }
+    this.log(`Switching to program ${value}`);
+    await this.writeDevicePoints({ 500: value });
+    if (this.program) {
+      this.program = null;
+      await this.setStoreValue('program', null);
+    }
+  }
+
+  // Updates the capability and triggers flows when the program has changed
+  async updateHeaterProgram(value) {
+    const id = getProgramId(value);
+    const prevId = this.getCapabilityValue('heater_program');
+    if (id === prevId) {
+      return;
+    }
+    await this.setCapabilityValue('heater_program', id);
+    if (prevId !== null) {
+      this.log(`Program changed from ${prevId} to ${id}`);
+      await this.driver.ready();
+      const tokens = { program: this.getProgramTitle(value), previous_program: this.getProgramTitle(getProgramValue(prevId)) };
+      this.driver.triggerProgramChanged(this, tokens, {});
+    }
+  }
+
+  /**
+   * Boosts the tank for a while, then hands control back to Homey
+   * @param temperature °C
+   * @param hours duration of the boost
+   */
+  async startBoost(temperature, hours) {
+    const days = Math.ceil(hours / 24); // The tank counts whole days, the app ends the boost in time
+    return this.startProgram(PROGRAM_BOOST, { 200: temperature, 201: days }, Date.now() + hours * HOUR);
+  }
+
+  /**
+   * Runs the vacation program until the start of the given date, then hands control back to Homey
+   * @param temperature °C
+   * @param date dd-mm-yyyy as given by the flow card
+   */
+  async startVacation(temperature, date) {
+    const end = parseFlowDate(date, this.homey.clock.getTimezone());
+    if (Number.isNaN(end) || end <= Date.now()) {
+      throw new Error(this.homey.__('errors.invalidDate', { date }));
+    }
+    let days = Math.ceil((end - Date.now()) / DAY);
+    // Short vacations are fine as the app ends the program in time
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    const { min } = catalog ? catalog.getRange(301) : {};
+    if (min !== undefined && days < min) days = min;
+    return this.startProgram(PROGRAM_VACATION, { 300: temperature, 301: days }, end);
+  }
+
+  // Starts a program with a timeout, the defaults are written together with the program so the tank uses them
+  async startProgram(program, defaults, end) {
+    this.log(`Starting program ${program} until ${new Date(end).toISOString()}`);
+    await this.writeDevicePoints({ ...defaults, 500: program });
+    this.program = { program, end, started: false };
+    await this.setStoreValue('program', this.program);
+    await this.setCapabilityValue('program_time_left', +((end - Date.now()) / HOUR).toFixed(1));
+  }
+
+  // Ends a boost or vacation and hands control back to Homey
+  async endProgram() {
+    this.program = null;
+    await this.setStoreValue('program', null);
+    await this.writeDevicePoints({ 500: PROGRAM_EXTERNAL });
+    await this.setCapabilityValue('program_time_left', 0);
+  }
+
+  /**
+   * Updates the time left of the current program and ends programs started from flows when
+   * the time is up or when the tank ended the program by itself.
+   * @param currentProgram point 406
+   * @param timeout hours left according to the tank (point 501), negative if the program does not time out
+   */
+  async checkProgram(currentProgram, timeout) {
+    if (currentProgram === undefined) return;
+    const running = [PROGRAM_VACATION, PROGRAM_BOOST].includes(currentProgram);
+    let timeLeft = (running && timeout >= 0) ? timeout : 0;
+    if (this.program) {
+      if (!this.program.started && currentProgram === this.program.program) {
+        this.program.started = true;
+        await this.setStoreValue('program', this.program);
+      }
+      const requestedTimeLeft = (this.program.end - Date.now()) / HOUR;
+      if (requestedTimeLeft <= 0 || (this.program.started && currentProgram !== this.program.program)) {
+        this.log(`Program ${this.program.program} ended, handing control back to Homey`);
+        await this.endProgram();
+        return;
+      }
+      timeLeft = running ? Math.min(timeLeft, requestedTimeLeft) : requestedTimeLeft;
+    }
+    await this.setCapabilityValue('program_time_left', +timeLeft.toFixed(1));
+  }
+
+  isLegionellaCycleRunning() {
+    return !!(this.legionella && this.legionella.cycle);
+  }
+
+  // Remembers changes requested during a legionella cycle, they are applied when the cycle is done
+  async deferDuringLegionellaCycle(values) {
+    this.log(`Deferred until the legionella cycle is done: ${JSON.stringify(values)}`);
+    this.legionella.defer(values);
+    await this.setStoreValue('legionella', this.legionella.toJSON());
+    return true;
+  }
+
+  /**
+   * Updates the legionella capabilities and runs cycles when Homey is in control of the tank
+   * @param currentProgram point 406
+   * @param hoursSinceLast point 509
+   * @param hoursToNext point 514, only valid when the tank schedules the cycles itself
+   * @param temperature point 528
+   * @param fillLevel point 404
+   */
+  async checkLegionella({
+    currentProgram, hoursSinceLast, hoursToNext, temperature, fillLevel
+  }) {
+    const now = Date.now();
+    let changed = this.legionella.update(now, hoursSinceLast);
+    const tankStarted = currentProgram === PROGRAM_LEGIONELLA
+      && this.prevProgram !== undefined && this.prevProgram !== PROGRAM_LEGIONELLA;
+    if (currentProgram !== undefined) this.prevProgram = currentProgram;
+    if (tankStarted) {
+      this.log('The tank started a legionella cycle');
+      await this.driver.ready();
+      this.driver.triggerLegionellaStarting(this, { source: 'tank' }, {});
+    }
+
+    const external = currentProgram === PROGRAM_EXTERNAL;
+    const frequency = this.getSetting('legionella_frequency') || 2;
+    const legionellaTemperature = this.getSetting('legionella_temperature') || 70;
+    if (this.legionella.cycle) {
+      const complete = this.legionella.isComplete(temperature, fillLevel, legionellaTemperature);
+      if (complete || this.legionella.isTimedOut(now) || (currentProgram !== undefined && !external)) {
+        // A cycle that times out is counted anyway, the tank is probably unable to reach the temperature
+        const counted = complete || this.legionella.isTimedOut(now);
+        this.log(`Legionella cycle ${complete ? 'completed' : 'ended'} after ${Math.round((now - this.legionella.cycle.start) / 60000)} minutes`);
+        const { target, power } = this.legionella.finish(now, counted);
+        await this.setStoreValue('legionella', this.legionella.toJSON());
+        const restore = { 517: power };
+        if (target !== null && target !== undefined) restore[527] = target;
+        await this.writeDevicePoints(restore);
+        changed = false;
+      }
+    } else if (external && this.getSetting('legionella_control') !== false && this.legionella.isDue(now, frequency)) {
+      // The cycle heats at the max power set by the user capped by the power budget, and waits while the budget allows no heating
+      const level = this.getAllowedPowerLevels()
+        .filter(item => item.level <= this.max_power)
+        .reduce((best, item) => ((!best || item.power > best.power) ? item : best), undefined);
+      if (level === undefined) {
+        this.log('Legionella cycle is due, waiting for a power budget that allows heating');
+      } else {
+        this.log('Starting legionella cycle');
+        this.legionella.start(now, {
+          target: this.getCapabilityValue('target_temperature'),
+          power: this.is_on ? this.max_power : 0
+        });
+        await this.setStoreValue('legionella', this.legionella.toJSON());
+        await this.writeDevicePoints({ 517: level.level, 527: legionellaTemperature });
+        changed = false;
+        await this.driver.ready();
+        this.driver.triggerLegionellaStarting(this, { source: 'homey' }, {});
+      }
+    }
+    if (changed) {
+      await this.setStoreValue('legionella', this.legionella.toJSON());
+    }
+
+    if (this.legionella.lastCycle !== undefined) {
+      await this.setCapabilityValue('legionella_last', Math.max(0, Math.round((now - this.legionella.lastCycle) / HOUR)));
+    }
+    // In External mode the tank does not run the cycles, so the next one is the one scheduled by Homey
+    const nextCycle = external ? this.legionella.getNextCycle(frequency) : now + hoursToNext * HOUR;
+    if (nextCycle !== undefined && !Number.isNaN(nextCycle)) {
+      await this.setCapabilityValue('legionella_next', Math.max(0, Math.round((nextCycle - now) / HOUR)));
+    }
+  }
+
+  /**
+   * Adds spot prices from a flow
+   * @param prices JSON array of prices, either numbers or objects with a time and a price
+   * @param start today, tomorrow or now, the time of the first price in lists of plain numbers
+   * @param interval hour or quarter, the time between the prices in lists of plain numbers
+   */
+  async setSpotPrices(prices, start, interval) {
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    const startTime = (start === 'now') ? Math.floor(now / HOUR) * HOUR
+      : getStartOfDay(now, timeZone) + ((start === 'tomorrow') ? DAY : 0);
+    const parsed = SpotPriceOptimizer.parsePrices(prices, startTime, { hour: HOUR, quarter: 15 * 60000 }[interval]);
+    if (!parsed) {
+      throw new Error(this.homey.__('errors.invalidPrices'));
+    }
+    this.optimizer.setPrices(now, parsed);
+    await this.setStoreValue('optimizer', this.optimizer.toJSON());
+  }
+
+  // Average energy used per hour over the last week (kWh), from the history of the estimated power
+  getAverageUsage() {
+    const now = Date.now();
+    const samples = this.getHistory({ from: now - 7 * DAY, to: now, resolution: 'hour' })
+      .filter(sample => sample.power !== null);
+    if (samples.length < 24) {
+      // Not enough history yet, assume that only the leakage has to be covered
+      return (this.getCapabilityValue('measure_power.leak') || 100) / 1000;
+    }
+    return samples.reduce((sum, sample) => sum + sample.power, 0) / (samples.length * 1000);
+  }
+
+  // True when the optimizer is enabled, Homey is in control and the price of the current hour is known
+  isOptimizerInControl(now) {
+    return !!this.getSetting('optimizer_enabled') && this.prevProgram === PROGRAM_EXTERNAL
+      && !this.isLegionellaCycleRunning() && !this.readyBy.isActive() && this.optimizer.getLevel(now) !== undefined;
+  }
+
+  // Power levels of the tank that are within the power budget
+  getAllowedPowerLevels() {
+    const levels = DeviceProfiles.getPowerLevels(this.profile);
+    return (this.powerBudget === undefined) ? levels : levels.filter(level => level.power <= this.powerBudget);
+  }
+
+  /**
+   * Heats the tank in the cheapest hours when the optimizer is enabled and Homey is in control.
+   * The tank is heated to the max temperature in the planned hours. In the other hours the setpoint is the
+   * comfort temperature at the lowest power level, so the tank only heats when it falls below the comfort temperature.
+   * Only power levels within the power budget are used, a budget below the smallest element keeps the tank off.
+   * The tank is only written to when the hour or the planned values change, so other flows are overridden at the next hour.
+   * @param currentProgram point 406
+   * @param energy energy in the tank (kWh, point 302)
+   * @return the power level in use (W), undefined if the optimizer is not in control
+   */
+  async checkOptimizer(currentProgram, energy) {
+    if (!this.getSetting('optimizer_enabled') || currentProgram !== PROGRAM_EXTERNAL
+      || this.isLegionellaCycleRunning() || this.readyBy.isActive() || energy === undefined || energy === null) {
+      this.optimizerWritten = undefined;
+      return undefined;
+    }
+    const now = Date.now();
+    const maxTemperature = this.getSetting('optimizer_max_temperature') || 75;
+    const comfortTemperature = Math.min(maxTemperature, this.getSetting('optimizer_comfort_temperature') || 45);
+    const inletTemperature = this.getSetting('inlet_temperature') || 10;
+    const levels = this.getAllowedPowerLevels();
+    // 1.163 Wh is needed to heat a litre of water by one degree
+    const maxEnergy = (this.profile.size * 1.163 * (maxTemperature - inletTemperature)) / 1000;
+    this.optimizer.update(now, {
+      energy: +energy,
+      minEnergy: this.getSetting('optimizer_min_energy') || 0,
+      maxEnergy,
+      usage: this.getAverageUsage(),
+      levels
+    });
+    const level = this.optimizer.getLevel(now);
+    if (level === undefined) { // No price for this hour, the flows are in control
+      this.optimizerWritten = undefined;
+      return undefined;
+    }
+    const heat = level > 0;
+    const values = {
+      517: heat ? level : (levels.length > 0 ? levels[0].level : 0),
+      527: heat ? maxTemperature : comfortTemperature
+    };
+    const written = JSON.stringify([Math.floor(now / HOUR), values]);
+    if (written !== this.optimizerWritten) {
+      await this.writeDevicePoints(values);
+      this.optimizerWritten = written;
+    }
+    return (values[517] > 0) ? this.getLevelPower(values[517]) : 0;
+  }
+
+  // Predicts the minutes needed to reach the target temperature with the current power level
+  async updateHeatUpTime(temperature) {
+    if (temperature === undefined) return;
+    const hours = HeatUpPlanner.getHeatUpTime({
+      volume: this.tankVolume,
+      temperature: +temperature,
+      target: this.getCapabilityValue('target_temperature'),
+      power: this.getLevelPower(this.max_power),
+      leakage: this.getCapabilityValue('measure_power.leak')
+    });
+    await this.setCapabilityValue('heat_up_time', (hours === undefined) ? null : Math.round(hours * 60));
+  }
+
+  /**
+   * Makes sure that the tank is hot by the given time, the heating starts as late as possible
+   * @param amount temperature (°C) or energy (kWh) to have ready
+   * @param unit celsius or kWh
+   * @param time time of day (HH:mm), the next time this time of day occurs is used
+   */
+  async setReadyBy(amount, unit, time) {
+    const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      throw new Error(this.homey.__('errors.invalidTime', { time }));
+    }
+    const now = Date.now();
+    let deadline = getStartOfDay(now, this.homey.clock.getTimezone()) + (+match[1]) * HOUR + (+match[2]) * 60000;
+    if (deadline <= now) deadline += DAY;
+    const temperature = (unit === 'kWh')
+      ? HeatUpPlanner.getTargetForEnergy({
+        volume: this.tankVolume,
+        energy: amount,
+        inletTemperature: this.getSetting('inlet_temperature') || 10
+      })
+      : amount;
+    const catalog = this.oAuth2Client.getParameterCatalog(this.deviceId);
+    const target = Math.ceil(catalog ? catalog.clamp(527, temperature) : temperature);
+    // A new plan replaces the previous one, but the state from before the first plan is restored
+    const restore = this.readyBy.isActive() ? this.readyBy.plan.restore : {
+      target: this.getCapabilityValue('target_temperature'),
+      power: this.is_on ? this.max_power : 0
+    };
+    this.log(`Heating to ${target} °C by ${new Date(deadline).toISOString()}`);
+    this.readyBy.start(deadline, target, restore);
+    await this.setStoreValue('readyBy', this.readyBy.toJSON());
+    return this.checkReadyBy(this.prevProgram, this.getCapabilityValue('measure_temperature'));
+  }
+
+  // Cancels the heating for a deadline and restores the state from before it was set
+  async cancelReadyBy() {
+    if (!this.readyBy.isActive()) return;
+    await this.finishReadyBy(this.prevProgram);
+  }
+
+  async finishReadyBy(currentProgram) {
+    const { target, power } = this.readyBy.finish();
+    await this.setStoreValue('readyBy', this.readyBy.toJSON());
+    if (currentProgram !== PROGRAM_EXTERNAL || this.isLegionellaCycleRunning()) return;
+    const restore = { 517: power };
+    if (target !== null && target !== undefined) restore[527] = target;
+    await this.writeDevicePoints(restore);
+  }
+
+  /**
+   * Heats the tank to the target from the latest time that still reaches it by the deadline.
+   * Until then the tank is left as it was, so it keeps its own temperature and power and hot water is still available.
+   * The start time is planned again at every poll and when the power level changes.
+   * @param currentProgram point 406
+   * @param temperature point 528
+   */
+  async checkReadyBy(currentProgram, temperature) {
+    if (!this.readyBy.isActive()) return;
+    const now = Date.now();
+    if (this.readyBy.isDone(now)) {
+      this.log('The deadline for heating the tank has been reached');
+      await this.finishReadyBy(currentProgram);
+      return;
+    }
+    if (currentProgram !== PROGRAM_EXTERNAL || this.isLegionellaCycleRunning() || temperature === undefined) {
+      return;
+    }
+    const { plan } = this.readyBy;
+    const hours = HeatUpPlanner.getHeatUpTime({
+      volume: this.tankVolume,
+      temperature: +temperature,
+      target: plan.target,
+      power: this.getLevelPower(this.max_power),
+      leakage: this.getCapabilityValue('measure_power.leak')
+    });
+    // Once started the heating continues until the deadline, so the tank stays hot
+    if (!plan.started && (hours === undefined || now >= this.readyBy.getStartTime(hours))) {
+      this.log(`Starting to heat for the deadline, ${(hours === undefined) ? 'unknown' : hours.toFixed(1)} hours needed`);
+      plan.started = true;
+      await this.setStoreValue('readyBy', this.readyBy.toJSON());
+    }
+    if (!plan.started) return;
+    // Other changes of the power and temperature are overridden until the deadline, but unchanged values are not written again
+    const confirmed = this.oAuth2Client.getConfirmedDevicePoints(this.deviceId);
+    const wanted = { 517: this.max_power, 527: plan.target };
+    // eslint-disable-next-line eqeqeq
+    if (Object.keys(wanted).some(key => confirmed[key] != wanted[key])) {
+      await this.writeDevicePoints(wanted);
+    }
+  }
+
+  /**
+   * Updates the estimate of hot water available at the tap temperature.
+   * Only the part of the tank given by the fill level is at the measured temperature.
+   * @param temperature point 528
+   * @param fillLevel point 404, the whole tank is assumed to be hot if it is not known
+   */
+  async updateHotWater(temperature, fillLevel) {
+    if (temperature === undefined) return;
+    const hotShare = (fillLevel === undefined) ? 1 : Math.min(100, Math.max(0, fillLevel)) / 100;
+    const hotWater = getMixedVolume({
+      volume: this.tankVolume * hotShare,
+      temperature: +temperature,
+      inletTemperature: this.getSetting('inlet_temperature') || 10,
+      tapTemperature: this.getSetting('tap_temperature') || 40
+    });
+    await this.setCapabilityValue('hot_water_available', Math.round(hotWater));
+    await this.setCapabilityValue('showers_remaining', Math.floor(hotWater / (this.getSetting('shower_size') || 60)));
+  }
+
+  /**
+   * Updates the capabilities for each heating element.
+   * Element 1 is the smaller element (points 504, 506 and 508) and element 2 the larger (503, 505 and 507).
+   */
+  async updateElements({ total, status, runtime }) {
+    const energy = this.elementEnergy.update({
+      total,
+      powers: [this.HeaterNomPower, this.HeaterNomPower2],
+      status,
+      runtime
+    });
+    const promises = [];
+    ['element1', 'element2'].forEach((element, idx) => {
+      if (status[idx] !== undefined) promises.push(this.setCapabilityValue(`element_on.${element}`, !!status[idx]));
+      if (runtime[idx] !== undefined) promises.push(this.setCapabilityValue(`element_runtime.${element}`, runtime[idx]));
+      if (energy) promises.push(this.setCapabilityValue(`meter_power.${element}`, +energy[idx].toFixed(3)));
+    });
+    if (Date.now() - this.elementEnergySaveTime > HOUR) {
+      this.elementEnergySaveTime = Date.now();
+      promises.push(this.setStoreValue('elementEnergy', this.elementEnergy.toJSON()));
+    }
+    return Promise.all(promises);
+  }
+
+  // Detects reboots and reconnects from the uptime counters (minutes)
+  async checkConnection({ uptime, com, connection }) {
+    const {
+      rebooted, reconnected, previousUptime, downtime
+    } = this.connectionMonitor.update(Date.now(), { uptime, com, connection });
+    if (rebooted || reconnected || Date.now() - this.connectionSaveTime > HOUR) {
+      this.connectionSaveTime = Date.now();
+      await this.setStoreValue('connection', this.connectionMonitor.toJSON());
+    }
+    const quality = this.connectionMonitor.getQuality();
+    if (quality !== undefined) {
+      await this.setCapabilityValue('connection_quality', quality);
+    }
+    if (rebooted || reconnected) {
+      await this.driver.ready();
+    }
+    if (rebooted) {
+      this.log(`The tank rebooted after ${previousUptime} minutes`);
+      this.driver.triggerTankRebooted(this, { previous_uptime: previousUptime }, {});
+    } else if (reconnected) {
+      this.log(`The tank reconnected to the cloud after about ${downtime} minutes offline`);
+      this.driver.triggerTankReconnected(this, { downtime }, {});
+    }
+  }
+
+  // Adds a sample to the history, the requested power and leakage are taken from the device state
+  recordHistory(values) {
+    const requestedPower = this.is_on ? this.getLevelPower(this.max_power) : 0;
+    const now = Date.now();
+    const hourCompleted = this.history.add(now, {
+      ...values,
+      requestedPower,
+      leakage: this.getCapabilityValue('measure_power.leak')
+    }, getStartOfDay(now, this.homey.clock.getTimezone()));
+    if (hourCompleted) {
+      this.setStoreValue('history', this.history.toJSON()).catch(this.error);
+    }
+  }
+
+  /**
+   * Returns the history for a time range
+   * @param from ms since epoch
+   * @param to ms since epoch
+   * @param resolution raw, hour, day or auto
+   */
+  getHistory({ from, to, resolution }) {
+    return this.history ? this.history.getSamples({ from, to, resolution }) : [];
+  }
+
+  /**
+   * Detects hot water draws and updates the daily and weekly totals
+   * @param stored point 302
+   * @param total point 303
+   * @param fillLevel point 404
+   * @param temperature point 528
+   */
+  async checkDraws({
+    stored, total, fillLevel, temperature
+  }) {
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    const draw = this.drawDetector.update(now, {
+      stored,
+      total,
+      fillLevel,
+      temperature,
+      inletTemperature: this.getSetting('inlet_temperature') || 10,
+      volume: this.tankVolume,
+      leakage: this.getCapabilityValue('measure_power.leak'),
+      dayStart: getStartOfDay(now, timeZone),
+      weekStart: getStartOfWeek(now, timeZone)
+    });
+    if (draw || now - this.drawSaveTime > HOUR) {
+      this.drawSaveTime = now;
+      await this.setStoreValue('draws', this.drawDetector.toJSON());
+    }
+    const { day, week } = this.drawDetector;
+    await this.setCapabilityValue('hot_water_used.day', Math.round(day.litres));
+    await this.setCapabilityValue('hot_water_used.week', Math.round(week.litres));
+    await this.setCapabilityValue('meter_power.drawn_day', +day.energy.toFixed(2));
+    await this.setCapabilityValue('meter_power.drawn_week', +week.energy.toFixed(2));
+    if (draw) {
+      const tokens = {
+        litres: Math.round(draw.litres),
+        energy: +draw.energy.toFixed(2),
+        duration: Math.round((draw.end - draw.start) / 60000)
+      };
+      this.log(`Hot water was used: ${JSON.stringify(tokens)}`);
+      await this.driver.ready();
+      this.driver.triggerHotWaterUsed(this, tokens, {});
+    }
+  }
+
+  /**
+   * Sets the electricity price used for the energy cost from now on
+   * @param price price per kWh
+   */
+  async setElectricityPrice(price) {
+    this.energyAccounting.price = +price;
+    await this.setStoreValue('energy', this.energyAccounting.toJSON());
+  }
+
+  /**
+   * Sets the energy used by the whole household in the previous hour, for the share of the peak hours
+   * @param energy kWh
+   */
+  async setHouseholdEnergy(energy) {
+    const hourStart = Math.floor(Date.now() / HOUR) * HOUR - HOUR;
+    this.energyAccounting.setHouseholdEnergy(hourStart, energy, getStartOfDay(hourStart, this.homey.clock.getTimezone()));
+    await this.setStoreValue('energy', this.energyAccounting.toJSON());
+    await this.updateEnergyCapabilities();
+  }
+
+  /**
+   * Adds the energy used since the previous poll to the energy accounting
+   * @param total point 303
+   */
+  async updateEnergy(total) {
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    const { price } = this.energyAccounting;
+    this.energyAccounting.update(now, {
+      total,
+      leakage: this.accumulatedLeakage,
+      price: (price !== undefined) ? price : (this.getSetting('electricity_price') || undefined),
+      dayStart: getStartOfDay(now, timeZone),
+      monthStart: getStartOfMonth(now, timeZone)
+    });
+    if (now - this.energyAccountingSaveTime > HOUR) {
+      this.energyAccountingSaveTime = now;
+      await this.setStoreValue('energy', this.energyAccounting.toJSON());
+    }
+    await this.updateEnergyCapabilities();
+  }
+
+  /**
+   * Energy used this day and month and in the peak hours of the month
+   * @return {today, month, peaks} where today and month are {energy, leakage, cost} and peaks as given by EnergyAccounting.getPeaks
+   */
+  getEnergySummary() {
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    const dayStart = getStartOfDay(now, timeZone);
+    const monthStart = getStartOfMonth(now, timeZone);
+    const empty = { energy: 0, leakage: 0, cost: 0 };
+    const [today] = this.energyAccounting.getPeriods('day', dayStart, now);
+    const [month] = this.energyAccounting.getPeriods('month', monthStart, now);
+    const peaks = this.energyAccounting.getPeaks(monthStart, getStartOfMonth(monthStart + 32 * DAY, timeZone));
+    return { today: today || empty, month: month || empty, peaks };
+  }
+
+  /**
+   * Returns the energy used per hour, day or month
+   * @param from ms since epoch
+   * @param to ms since epoch
+   * @param resolution hour, day or month
+   */
+  getEnergy({ from, to, resolution }) {
+    return this.energyAccounting ? this.energyAccounting.getPeriods(resolution, from, to) : [];
+  }
+
+  async updateEnergyCapabilities() {
+    const { today, month, peaks } = this.getEnergySummary();
+    await this.setCapabilityValue('meter_power.today', +today.energy.toFixed(2));
+    await this.setCapabilityValue('meter_power.month', +month.energy.toFixed(2));
+    await this.setCapabilityValue('meter_power.leak_today', +today.leakage.toFixed(2));
+    await this.setCapabilityValue('meter_power.leak_month', +month.leakage.toFixed(2));
+    await this.setCapabilityValue('energy_cost.today', +today.cost.toFixed(2));
+    await this.setCapabilityValue('energy_cost.month', +month.cost.toFixed(2));
+    // The energy used in an hour is the same as the average power in kW
+    await this.setCapabilityValue('measure_power.peak', (peaks.energy === undefined) ? null : Math.round(peaks.energy * 1000));
+    await this.setCapabilityValue('measure_humidity.peak_share', (peaks.share === undefined) ? null : +peaks.share.toFixed(1));
+  }
+
+  // Uses the fitted leakage constant once it can be trusted, otherwise the one from the device profile
+  updateLeakageConstant() {
+    const fitted = this.leakageCalibrator.getValue();
+    this.leakageConstant = (fitted !== undefined && this.leakageCalibrator.getConfidence() >= minLeakageConfidence)
+      ? +fitted.toFixed(2) : this.profile.leakage_constant;
+  }
+
+  // Text for the LeakageConstant setting
+  getLeakageConstantText() {
+    const fitted = this.leakageCalibrator ? this.leakageCalibrator.getValue() : undefined;
+    if (fitted === undefined) {
+      return this.homey.__('leakage.default', { value: +this.leakageConstant.toFixed(2) });
+    }
+    return this.homey.__('leakage.fitted', {
+      value: +fitted.toFixed(2),
+      confidence: this.leakageCalibrator.getConfidence(),
+      used: +this.leakageConstant.toFixed(2)
+    });
+  }
+
+  /**
+   * Measures the leakage constant in periods where the heater is off and no hot water is drawn
+   * @param idle true if the heater is off through point 517 and both elements are off
+   * @param temperature point 528
+   * @param fillLevel point 404
+   */
+  async calibrateLeakage({ idle, temperature, fillLevel }) {
+    const now = Date.now();
+    const measured = this.leakageCalibrator.add(now, {
+      idle,
+      temperature,
+      ambient: this.outsideTemp,
+      fillLevel,
+      volume: this.tankVolume
+    });
+    if (measured || now - this.leakageCalibrationSaveTime > HOUR) {
+      this.leakageCalibrationSaveTime = now;
+      await this.setStoreValue('leakageCalibration', this.leakageCalibrator.toJSON());
+    }
+    if (measured) {
+      this.updateLeakageConstant();
+      this.log(`Measured the leakage in an idle period, using ${this.leakageConstant} W/°C`);
+      await this.setSettings({ LeakageConstant: this.getLeakageConstantText() });
+    }
+  }
+
   // Logs how much leakage heat that we have had.
   // A good description of leakage heat is here:
   // https://vannbaserte.nemitek.no/833-artikkel-vannbaserte-oppvarmings-og-kjolesystemer-2014/beredertemperatur-og-varmetap/163668
@@ -567,14 +1891,20 @@ class MyHoiaxDevice extends OAuth2Device {
       this.prevRelationTime = newTime;
       this.prevRelationUse = totalUsage;
       this.prevRelationLeak = this.accumulatedLeakage;
+      this.prevRelationDrawn = this.drawDetector.total;
     } else if ((newTime - this.prevRelationTime) > 24 * 60 * 60 * 1000) {
       // Once every day
       this.prevRelationTime = newTime;
       const leakedEnergy = this.accumulatedLeakage - this.prevRelationLeak;
       const addedEnergy = totalUsage - this.prevRelationUse;
+      const drawnEnergy = this.drawDetector.total - this.prevRelationDrawn;
       this.prevRelationUse = totalUsage;
       this.prevRelationLeak = this.accumulatedLeakage;
-      const leakRelation = (addedEnergy > leakedEnergy) ? ((100 * leakedEnergy) / addedEnergy) : 100;
+      this.prevRelationDrawn = this.drawDetector.total;
+      // Hot water used is measured separately, so the relation is the share of the heat leaving the tank that is leaked.
+      // Without any draws detected all added energy is assumed to have been used.
+      const leakRelation = (drawnEnergy > 0) ? ((100 * leakedEnergy) / (leakedEnergy + drawnEnergy))
+        : (addedEnergy > leakedEnergy) ? ((100 * leakedEnergy) / addedEnergy) : 100;
       this.setCapabilityValue('measure_humidity.leak_relation', leakRelation);
       this.log(`Relation: ${String(leakedEnergy)} ${String(addedEnergy)}  ${String(leakRelation)}`);
     } else {
@@ -585,17 +1915,29 @@ class MyHoiaxDevice extends OAuth2Device {
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('Settings changed');
 
+    if (changedKeys.includes('command_timeout')) {
+      this.commandQueue.timeout = newSettings.command_timeout * 60 * 1000;
+    }
+    if (changedKeys.includes('command_retries')) {
+      this.commandQueue.maxRetries = newSettings.command_retries;
+    }
+    // When the time zone is followed the offset is updated at every poll
+    if (changedKeys.includes('timezone_offset') && newSettings.timezone_sync !== false) {
+      throw new Error(this.homey.__('errors.timezoneSync'));
+    }
+
     const keyChange = {};
     for (let keyNr = 0; keyNr < changedKeys.length; keyNr++) {
       this.log(`${changedKeys[keyNr]} changed: `, newSettings[changedKeys[keyNr]], ' (key: ', keyMap[changedKeys[keyNr]], ')');
       const keyIndex = keyMap[changedKeys[keyNr]];
-      if (!(this.brokenSpotPrice && +keyIndex >= 544 && +keyIndex <= 548)) {
+      // Settings without a key are handled by the app and not stored in the tank
+      if ((keyIndex !== undefined) && !(this.brokenSpotPrice && +keyIndex >= 544 && +keyIndex <= 548)) {
         // Only change the settings that are available for the tank in question
         keyChange[keyIndex] = newSettings[changedKeys[keyNr]];
       }
     }
     if (Object.keys(keyChange).length > 0) {
-      return this.oAuth2Client.setDevicePoint(this.deviceId, keyChange)
+      return this.writeDevicePoints(keyChange)
         .then(response => {
           if (response) {
             this.setAvailable(); // In case it was set to unavailable
@@ -603,7 +1945,9 @@ class MyHoiaxDevice extends OAuth2Device {
           return Promise.resolve();
         })
         .catch(err => {
-          this.setUnavailable(`Network problem: ${err.message}`);
+          if (!(err instanceof ParameterValidationError)) {
+            this.setUnavailable(this.getUnavailableMessage(err));
+          }
           return Promise.reject(err);
         });
     }
@@ -613,8 +1957,8 @@ class MyHoiaxDevice extends OAuth2Device {
   async updateState(deviceId) {
     return Promise.resolve()
       .then(() => {
-        const needKeys = [302, 303, 400, 404, 517, 527, 528];
-        const pendingKeys = Object.keys(this.oAuth2Client.pendingDevicePoints).map(Number).filter(number => !needKeys.includes(number));
+        const needKeys = [302, 303, 400, 404, 406, 501, 505, 506, 507, 508, 509, 514, 517, 527, 528, 532, 533, 534];
+        const pendingKeys = this.commandQueue.getParameterIds().map(Number).filter(number => !needKeys.includes(number));
         needKeys.push(...pendingKeys);
         return this.oAuth2Client.getDevicePoints(deviceId, needKeys.join(','));
       })
@@ -626,7 +1970,17 @@ class MyHoiaxDevice extends OAuth2Device {
         let logTotal;
         let logTemp;
         let logStored;
+        let fillLevel;
+        let estimatedPower;
+        let currentProgram;
+        let programTimeout;
+        let hoursSinceLegionella;
+        let hoursToLegionella;
+        const elementStatus = [];
+        const elementRuntime = [];
+        const uptimes = {};
         const promises = [];
+        const queuedKeys = this.commandQueue.getParameterIds();
         for (let loop = 0; loop < devPoints.length; loop++) {
           if ('parameterId' in devPoints[loop] && 'value' in devPoints[loop]) {
             switch (parseInt(devPoints[loop].parameterId, 10)) {
@@ -646,12 +2000,40 @@ class MyHoiaxDevice extends OAuth2Device {
                 break;
               case 400: // 400 = EstimatedPower
                 promises.push(this.setCapabilityValue('measure_power', devPoints[loop].value));
+                estimatedPower = devPoints[loop].value;
                 break;
               case 404: // 404 = FillLevel
                 promises.push(this.setCapabilityValue('measure_humidity.fill_level', devPoints[loop].value));
+                fillLevel = devPoints[loop].value;
+                break;
+              case 406: // 406 = Current program
+                currentProgram = parseInt(devPoints[loop].value, 10);
+                promises.push(this.updateHeaterProgram(currentProgram));
+                break;
+              case 501: // 501 = Current program timeout (h)
+                programTimeout = parseInt(devPoints[loop].value, 10);
+                break;
+              case 505: // 505 = Element 2 status
+                elementStatus[1] = +devPoints[loop].value;
+                break;
+              case 506: // 506 = Element 1 status
+                elementStatus[0] = +devPoints[loop].value;
+                break;
+              case 507: // 507 = Element 2 time on (h)
+                elementRuntime[1] = +devPoints[loop].value;
+                break;
+              case 508: // 508 = Element 1 time on (h)
+                elementRuntime[0] = +devPoints[loop].value;
+                break;
+              case 509: // 509 = Time since last legionella prevention (h)
+                hoursSinceLegionella = +devPoints[loop].value;
+                break;
+              case 514: // 514 = Next legionella prevention (h)
+                hoursToLegionella = +devPoints[loop].value;
                 break;
               case 517: // 517 = Requested power
-                {
+                // Do not overwrite a change the tank has not applied yet, or the state to restore after a legionella cycle
+                if (!queuedKeys.includes('517') && !this.isLegionellaCycleRunning()) {
                   const currentMaxPower = +devPoints[loop].value;
                   // Value 0 = Off, 1 = this.HeaterNomPower, 2 = this.HeaterNomPower2, 3 = this.HeaterNomPower+this.HeaterNomPower2
                   if (currentMaxPower === 0) {
@@ -665,7 +2047,18 @@ class MyHoiaxDevice extends OAuth2Device {
                 }
                 break;
               case 527: // 527 = Requested temperature
-                promises.push(this.setCapabilityValue('target_temperature', devPoints[loop].value));
+                if (!this.isLegionellaCycleRunning()) { // Keep showing the temperature to restore
+                  promises.push(this.setCapabilityValue('target_temperature', devPoints[loop].value));
+                }
+                break;
+              case 532: // 532 = Uptime (min)
+                uptimes.uptime = +devPoints[loop].value;
+                break;
+              case 533: // 533 = Uptime of the communication module (min)
+                uptimes.com = +devPoints[loop].value;
+                break;
+              case 534: // 534 = Uptime of the cloud connection (min)
+                uptimes.connection = +devPoints[loop].value;
                 break;
               case 528: // 528 = Measured temperature
                 promises.push(this.setCapabilityValue('measure_temperature', devPoints[loop].value));
@@ -688,19 +2081,48 @@ class MyHoiaxDevice extends OAuth2Device {
           // throw (new Error(`Sorry about the crash, send this to the developer: ${JSON.stringify(devPoints)}`));
         } else {
           this.logLeakage(logTotal, logTemp, logStored);
+          promises.push(this.updateEnergy(logTotal));
         }
+        promises.push(this.updateElements({ total: logTotal, status: elementStatus, runtime: elementRuntime }));
+        promises.push(this.updateHotWater(logTemp, fillLevel));
+        promises.push(this.checkDraws({
+          stored: logStored,
+          total: logTotal,
+          fillLevel,
+          temperature: logTemp
+        }));
+        promises.push(this.calibrateLeakage({
+          idle: !this.is_on && !elementStatus.some(on => on),
+          temperature: logTemp,
+          fillLevel
+        }));
+        this.recordHistory({
+          temperature: logTemp,
+          storedEnergy: logStored,
+          fillLevel,
+          power: estimatedPower
+        });
 
         return Promise.all(promises)
           .then(() => {
             if (devPoints.length > 0) {
               this.setAvailable(); // In case it was set to unavailable
             }
-            // Retry pending state from earlier
-            if (Object.keys(this.oAuth2Client.pendingDevicePoints).length > 0) {
-              return this.oAuth2Client.setDevicePoint(deviceId, this.oAuth2Client.pendingDevicePoints);
-            }
-            return Promise.resolve();
+            // Confirm writes from earlier, then retry those that timed out
+            return this.processCommandQueue(devPoints);
           })
+          .then(() => this.checkProgram(currentProgram, programTimeout))
+          .then(() => this.checkConnection(uptimes))
+          .then(() => this.checkLegionella({
+            currentProgram,
+            hoursSinceLast: hoursSinceLegionella,
+            hoursToNext: hoursToLegionella,
+            temperature: logTemp,
+            fillLevel
+          }))
+          .then(() => this.checkReadyBy(currentProgram, logTemp))
+          .then(() => this.updateHeatUpTime(logTemp))
+          .then(() => this.checkOptimizer(currentProgram, logStored))
           .then(() => Promise.resolve({ ok: true }));
       })
       .then(response => {
@@ -711,7 +2133,12 @@ class MyHoiaxDevice extends OAuth2Device {
       })
       .catch(err => {
         const newErr = new Error(`Network problem: ${err.message}`);
-        this.setUnavailable(newErr);
+        if (err.status === 429) {
+          // Still throttled after all retries, the device itself is fine so just try again at next poll
+          this.log(newErr.message);
+        } else {
+          this.setUnavailable(this.getUnavailableMessage(err));
+        }
         return Promise.reject(newErr);
       });
   }
@@ -6,15 +6,178 @@ const { OAuth2Driver } = require('homey-oauth2app');
 
 class HoiaxDriver extends OAuth2Driver {
 
+  // Flow card ids must be unique within the app, so drivers sharing the flow cards add a prefix
+  static FLOW_CARD_PREFIX = '';
+
   /**
    * onInit is called when the driver is initialized.
    */
   async onOAuth2Init() {
     // Register Flow Cards etc.
-    this._maxPowerChangedTrigger = this.homey.flow.getDeviceTriggerCard('maxpower-changed');
+    const prefix = this.constructor.FLOW_CARD_PREFIX;
+    this._maxPowerChangedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}maxpower-changed`);
+    this._alarmRaisedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}alarm-raised`);
+    this._alarmClearedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}alarm-cleared`);
+    this._smartHomeModeChangedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}smart-home-mode-changed`);
+    this._commandFailedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}command-failed`);
+    this._firmwareChangedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}firmware-changed`);
+    this._legionellaStartingTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}legionella-starting`);
+    this._tankRebootedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}tank-rebooted`);
+    this._tankReconnectedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}tank-reconnected`);
+    this._programChangedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}program-changed`);
+    this._hotWaterUsedTrigger = this.homey.flow.getDeviceTriggerCard(`${prefix}hot-water-used`);
+
+    this.homey.flow.getConditionCard(`${prefix}smart-home-mode-is`)
+      .registerRunListener(async args => args.device.getCapabilityValue('smart_home_mode') === args.mode);
+    // The programs differ between tanks, so they are listed from the point metadata (current program 406, program 500)
+    this.homey.flow.getConditionCard(`${prefix}program-is`)
+      .registerRunListener(async args => args.device.getCapabilityValue('heater_program') === args.program.id)
+      .registerArgumentAutocompleteListener('program', async (query, args) => args.device.getProgramAutocomplete(406, query));
+    this.homey.flow.getConditionCard(`${prefix}hot-water-available`)
+      .registerRunListener(async args => args.device.getCapabilityValue('hot_water_available') >= args.litres);
+
+    // Action cards are registered once for all devices, the device is given by the flow arguments
+    this.homey.flow.getActionCard(`${prefix}set-max-power`)
+      .registerRunListener(async args => args.device.setMaxPower(args.max_power.id))
+      .registerArgumentAutocompleteListener('max_power', async (query, args) => args.device.getMaxPowerAutocomplete(query));
+    this.homey.flow.getActionCard(`${prefix}set-power-budget`)
+      .registerRunListener(async args => args.device.setPowerBudget(args.power));
+    // Replaced by set-max-power, kept for existing flows
+    this.homey.flow.getActionCard(`${prefix}change-maxpower`)
+      .registerRunListener(async args => args.device.setMaxPower(args.max_power));
+    this.homey.flow.getActionCard(`${prefix}change-maxpower-3000`)
+      .registerRunListener(async args => args.device.setMaxPower(args.max_power));
+    this.homey.flow.getActionCard(`${prefix}change-ambient-temp`)
+      .registerRunListener(async args => args.device.setAmbientTemp(args.device.deviceId, args.ambient_temp));
+    this.homey.flow.getActionCard(`${prefix}set-smart-home-mode`)
+      .registerRunListener(async args => args.device.setSmartHomeMode(args.mode));
+    this.homey.flow.getActionCard(`${prefix}start-boost`)
+      .registerRunListener(async args => args.device.startBoost(args.temperature, (args.unit === 'days') ? args.duration * 24 : args.duration));
+    this.homey.flow.getActionCard(`${prefix}start-vacation`)
+      .registerRunListener(async args => args.device.startVacation(args.temperature, args.date));
+    this.homey.flow.getActionCard(`${prefix}end-program`)
+      .registerRunListener(async args => args.device.endProgram());
+    this.homey.flow.getActionCard(`${prefix}set-program`)
+      .registerRunListener(async args => args.device.setHeaterProgram(args.program.id))
+      .registerArgumentAutocompleteListener('program', async (query, args) => args.device.getProgramAutocomplete(500, query));
+    this.homey.flow.getActionCard(`${prefix}set-spot-prices`)
+      .registerRunListener(async args => args.device.setSpotPrices(args.prices, args.start, args.interval));
+    this.homey.flow.getActionCard(`${prefix}ready-by`)
+      .registerRunListener(async args => args.device.setReadyBy(args.amount, args.unit, args.time));
+    this.homey.flow.getActionCard(`${prefix}cancel-ready-by`)
+      .registerRunListener(async args => args.device.cancelReadyBy());
+    this.homey.flow.getActionCard(`${prefix}set-electricity-price`)
+      .registerRunListener(async args => args.device.setElectricityPrice(args.price));
+    this.homey.flow.getActionCard(`${prefix}set-household-energy`)
+      .registerRunListener(async args => args.device.setHouseholdEnergy(args.energy));
+
+    this.polledDevices = new Set();
+    this.pollIntervalID = undefined;
     this.log('HoiaxOAuth2Driver has been initialized');
   }
 
+  async onUninit() {
+    if (this.pollIntervalID !== undefined) {
+      clearInterval(this.pollIntervalID);
+      this.pollIntervalID = undefined;
+    }
+  }
+
+  /**
+   * Returns all devices that belong to the given myUplink system
+   */
+  getSystemDevices(systemId) {
+    return this.getDevices().filter(device => device.getData().systemId === systemId);
+  }
+
+  /**
+   * Initializes the devices waiting for a new login on the given account again.
+   * Called when a device has been initialized, so repairing one device recovers all of them.
+   */
+  recoverDevices(oAuth2Client) {
+    this.getDevices()
+      .filter(device => device.reauthRequired && device.oAuth2Client === oAuth2Client)
+      .forEach(device => {
+        device.log('Recovering after the myUplink login was repaired');
+        device.onOAuth2Init().catch(device.error);
+      });
+  }
+
+  /**
+   * Adds a device to the common polling loop
+   */
+  startPolling(device) {
+    this.polledDevices.add(device);
+    if (this.pollIntervalID === undefined) {
+      this.pollIntervalID = setInterval(() => {
+        this.pollDevices().catch(this.error);
+      }, 1000 * 60 * 1);
+    }
+  }
+
+  /**
+   * Removes a device from the common polling loop
+   */
+  stopPolling(device) {
+    this.polledDevices.delete(device);
+    if (this.polledDevices.size === 0 && this.pollIntervalID !== undefined) {
+      clearInterval(this.pollIntervalID);
+      this.pollIntervalID = undefined;
+    }
+  }
+
+  /**
+   * Polls all devices, called once every minute.
+   * myUplink does not offer reading points from several devices at once, so instead the tanks
+   * in the same system are polled together: When one tank is due, the tanks in the same system
+   * that would be due within the next couple of minutes are polled at the same time.
+   * The alarms and the smart home mode belong to the system, so these are read once for all of them.
+   */
+  async pollDevices() {
+    if (this.pollInProgress) return; // Previous round is still waiting for myUplink
+    this.pollInProgress = true;
+    try {
+      const systems = {};
+      for (const device of this.polledDevices) {
+        if (!(device.systemId in systems)) {
+          systems[device.systemId] = [];
+        }
+        systems[device.systemId].push(device);
+      }
+      for (const systemDevices of Object.values(systems)) {
+        const anyDue = systemDevices.some(device => device.isPollDue());
+        const dueDevices = [];
+        for (const device of systemDevices) {
+          if (device.isPollDue(anyDue ? 2 : 0)) {
+            dueDevices.push(device);
+          } else {
+            device.skipPoll();
+          }
+        }
+        if (dueDevices.length > 0) {
+          const systemState = await this.getSystemState(dueDevices[0]);
+          await Promise.all(dueDevices.map(device => device.pollState(systemState)));
+        }
+      }
+    } finally {
+      this.pollInProgress = false;
+    }
+  }
+
+  /**
+   * Reads the state shared by all devices in the system of the given device.
+   * The alarms and smart home mode are not critical for the device state, so failures are only logged
+   * @return {notifications, smartHomeMode} as returned by myUplink, undefined when they could not be read
+   */
+  async getSystemState(device) {
+    const { oAuth2Client, systemId } = device;
+    const notifications = await oAuth2Client.getActiveNotifications(systemId)
+      .catch(err => device.log(`Could not check alarms: ${err.message}`));
+    const smartHomeMode = await oAuth2Client.getSmartHomeMode(systemId)
+      .catch(err => device.log(`Could not check smart home mode: ${err.message}`));
+    return { notifications, smartHomeMode };
+  }
+
   /**
    * triggerOnOffFlow triggers the flow to turn on/off the water heater partially
    */
@@ -24,35 +187,115 @@ class HoiaxDriver extends OAuth2Driver {
       .catch(this.error);
   }
 
+  /**
+   * triggerAlarmRaised triggers the flow for new alarms
+   */
+  triggerAlarmRaised(device, tokens, state) {
+    this._alarmRaisedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerAlarmCleared triggers the flow for alarms that are no longer active
+   */
+  triggerAlarmCleared(device, tokens, state) {
+    this._alarmClearedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerSmartHomeModeChanged triggers the flow for changes in smart home mode
+   */
+  triggerSmartHomeModeChanged(device, tokens, state) {
+    this._smartHomeModeChangedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerCommandFailed triggers the flow for writes that were given up
+   */
+  triggerCommandFailed(device, tokens, state) {
+    this._commandFailedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerFirmwareChanged triggers the flow for firmware updates of the tank
+   */
+  triggerFirmwareChanged(device, tokens, state) {
+    this._firmwareChangedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerLegionellaStarting triggers the flow for legionella prevention cycles
+   */
+  triggerLegionellaStarting(device, tokens, state) {
+    this._legionellaStartingTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerTankRebooted triggers the flow for tanks that have restarted
+   */
+  triggerTankRebooted(device, tokens, state) {
+    this._tankRebootedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerTankReconnected triggers the flow for tanks that have connected to the cloud again
+   */
+  triggerTankReconnected(device, tokens, state) {
+    this._tankReconnectedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerProgramChanged triggers the flow for changes in the program the tank is running
+   */
+  triggerProgramChanged(device, tokens, state) {
+    this._programChangedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
+  /**
+   * triggerHotWaterUsed triggers the flow for hot water drawn from the tank
+   */
+  triggerHotWaterUsed(device, tokens, state) {
+    this._hotWaterUsedTrigger
+      .trigger(device, tokens, state)
+      .catch(this.error);
+  }
+
   /**
    * onPairListDevices is called when a user is adding a device
    * and the 'list_devices' view is called.
    * This should return an array with the data of devices that are available for pairing.
    */
   async onPairListDevices({ oAuth2Client }) {
-    const devicelist = [];
-    // Fetch only the first page as nobody will ever control more than 10 water tanks with Homey
-    const things = await oAuth2Client.getDevices({ page: 1 });
-
-    // NOTE: This code has Never been tested with more than 1 device but should support more
-    for (let itemNr = 0; itemNr < things.numItems; itemNr++) {
-      const system = things.systems[itemNr];
-      for (let deviceNr = 0; deviceNr < system.devices.length; deviceNr++) {
-        const device = system.devices[deviceNr];
-        const mydevice = {
-          name: undefined, // Replaced by product name
-          data: {
-            systemId: system.systemId,
-            systemName: system.name,
-            deviceId: device.id,
-            deviceSerial: device.product.serialNumber,
-            deviceName: device.product.name
-          }
-        };
-        devicelist.push(mydevice);
+    const devices = await oAuth2Client.getAllDevices();
+    const numSystems = new Set(devices.map(({ system }) => system.systemId)).size;
+    return devices.map(({ system, device }) => ({
+      name: (system.devices.length > 1 || numSystems > 1)
+        ? `${device.product.name} (${system.name})` : undefined, // Undefined is replaced by product name
+      data: {
+        systemId: system.systemId,
+        systemName: system.name,
+        deviceId: device.id,
+        deviceSerial: device.product.serialNumber,
+        deviceName: device.product.name
       }
-    }
-    return devicelist;
+    }));
   }
 
 }
@@ -0,0 +1,87 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const MyHoiaxDevice = require('../oso-charge-r2/device');
+const SimulatedOAuth2Client = require('../../lib/SimulatedOAuth2Client');
+const TankSimulator = require('../../lib/TankSimulator');
+const DeviceProfiles = require('../../lib/DeviceProfiles');
+const initialPoints = require('./points.json'); // myUplink dump from a Connected 200
+
+/**
+ * A tank that behaves like a Connected 200 without a myUplink account.
+ * All logic is inherited from the real device, only the myUplink client is replaced by a simulation.
+ */
+class SimulatedHoiaxDevice extends MyHoiaxDevice {
+
+  // Returns the draw profile selected in the settings
+  static getDrawProfile(settings) {
+    if (settings.sim_draw_profile === 'custom') {
+      return TankSimulator.parseDrawProfile(settings.sim_draw_custom);
+    }
+    return TankSimulator.DRAW_PROFILES[settings.sim_draw_profile] || [];
+  }
+
+  /**
+   * onInit is called when the device is initialized.
+   * Replaces the OAuth2 session lookup with a simulated client.
+   */
+  async onInit() {
+    const settings = this.getSettings();
+    let drawProfile;
+    try {
+      drawProfile = SimulatedHoiaxDevice.getDrawProfile(settings);
+    } catch (err) {
+      this.log(`Ignoring draw profile: ${err.message}`);
+      drawProfile = [];
+    }
+    this.simulator = new TankSimulator({
+      points: initialPoints,
+      properties: DeviceProfiles.get('connected-200'),
+      state: this.getStoreValue('simulation'),
+      acceleration: settings.sim_acceleration || 1,
+      drawProfile
+    });
+    const mode = this.getCapabilityValue('smart_home_mode'); // The simulated system has no memory of its own
+    this.oAuth2Client = new SimulatedOAuth2Client({
+      homey: this.homey,
+      simulator: this.simulator,
+      systemId: this.getData().systemId,
+      deviceId: this.getData().deviceId,
+      smartHomeMode: mode ? `${mode[0].toUpperCase()}${mode.slice(1)}` : 'Default'
+    });
+    this.oAuth2Client.on('log', (...args) => this.log(...args));
+    await this.oAuth2Client.init();
+    await this.onOAuth2Init();
+  }
+
+  async onOAuth2Uninit() {
+    await super.onOAuth2Uninit();
+    await this.saveSimulation();
+  }
+
+  // The simulation is saved after every poll so it continues where it left off after a restart
+  async pollState(systemState) {
+    return super.pollState(systemState)
+      .then(() => this.saveSimulation());
+  }
+
+  async saveSimulation() {
+    return this.setStoreValue('simulation', this.simulator.toJSON())
+      .catch(this.error);
+  }
+
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('sim_draw_profile') || changedKeys.includes('sim_draw_custom')) {
+      // Throws on invalid profiles, which rejects the settings change
+      this.simulator.setDrawProfile(SimulatedHoiaxDevice.getDrawProfile(newSettings));
+    }
+    if (changedKeys.includes('sim_acceleration')) {
+      this.simulator.setAcceleration(newSettings.sim_acceleration);
+    }
+    return super.onSettings({ oldSettings, newSettings, changedKeys });
+  }
+
+}
+
+module.exports = SimulatedHoiaxDevice;
@@ -0,0 +1,43 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HoiaxDriver = require('../oso-charge-r2/driver');
+
+/**
+ * Driver for simulated tanks, used to test flows without a real tank.
+ * Polling and flow cards are shared with the real driver.
+ */
+class SimulatedHoiaxDriver extends HoiaxDriver {
+
+  static FLOW_CARD_PREFIX = 'simulated-';
+
+  /**
+   * No myUplink account is needed, so pairing only lists a new simulated tank
+   */
+  onPair(session) {
+    session.setHandler('list_devices', async () => this.onPairListDevices());
+  }
+
+  /**
+   * Every pairing adds a new tank in a system of its own
+   */
+  async onPairListDevices() {
+    const id = `sim-${Date.now().toString(36)}`;
+    return [
+      {
+        name: this.homey.__('info.simulatedTank'),
+        data: {
+          systemId: `${id}-system`,
+          systemName: 'Simulation',
+          deviceId: id,
+          deviceSerial: id,
+          deviceName: this.homey.__('info.simulatedTank')
+        }
+      }
+    ];
+  }
+
+}
+
+module.exports = SimulatedHoiaxDriver;
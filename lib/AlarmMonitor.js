@@ -0,0 +1,65 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+/**
+ * Keeps track of the active alarms (myUplink notifications) for one device
+ * and reports which alarms that were raised or cleared since the last update.
+ */
+class AlarmMonitor {
+
+  /**
+   * @param activeAlarms alarms previously returned by getActiveAlarms(), i.e. from the device store
+   */
+  constructor(activeAlarms = []) {
+    this.activeAlarms = {};
+    if (Array.isArray(activeAlarms)) {
+      activeAlarms.forEach(alarm => {
+        this.activeAlarms[alarm.id] = alarm;
+      });
+    }
+  }
+
+  // Converts a myUplink notification to the alarm format used by the app
+  static toAlarm(notification) {
+    const code = +notification.alarmNumber;
+    return {
+      id: String(notification.notificationId || code),
+      code: Number.isNaN(code) ? 0 : code,
+      severity: +notification.severity || 0,
+      header: notification.header || '',
+      description: notification.description || notification.header || '',
+      created: notification.createdDatetime || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Updates the list of active alarms
+   * @param notifications the currently active myUplink notifications for the device
+   * @return {raised, cleared} lists of alarms
+   */
+  update(notifications) {
+    const current = {};
+    notifications.forEach(notification => {
+      const alarm = AlarmMonitor.toAlarm(notification);
+      current[alarm.id] = alarm;
+    });
+    const raised = Object.values(current).filter(alarm => !(alarm.id in this.activeAlarms));
+    const cleared = Object.values(this.activeAlarms).filter(alarm => !(alarm.id in current));
+    this.activeAlarms = current;
+    return { raised, cleared };
+  }
+
+  getActiveAlarms() {
+    return Object.values(this.activeAlarms);
+  }
+
+  // The most recently raised active alarm, undefined if there are none
+  getLatestAlarm() {
+    return this.getActiveAlarms()
+      .reduce((latest, alarm) => ((!latest || alarm.created > latest.created) ? alarm : latest), undefined);
+  }
+
+}
+
+module.exports = AlarmMonitor;
@@ -0,0 +1,148 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+// States a command moves through. Confirmed and failed commands are removed from the queue.
+const STATE_PENDING = 'pending'; // Waiting to be sent
+const STATE_SENT = 'sent'; // Sent to myUplink, waiting for the tank to report the new value
+const STATE_CONFIRMED = 'confirmed';
+const STATE_FAILED = 'failed';
+
+/**
+ * Queue of device point writes for one device.
+ * The queue is a plain array so it can be saved in the device store and survive app restarts.
+ */
+class CommandQueue {
+
+  /**
+   * @param commands previously saved queue as returned by toJSON()
+   * @param timeout ms to wait for a sent command to be confirmed before it is sent again
+   * @param maxRetries number of times a command is resent before it is given up
+   */
+  constructor({ commands = [], timeout = 15 * 60 * 1000, maxRetries = 3 } = {}) {
+    this.commands = Array.isArray(commands) ? commands.filter(command => command && command.parameterId !== undefined) : [];
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+  }
+
+  toJSON() {
+    return this.commands;
+  }
+
+  get length() {
+    return this.commands.length;
+  }
+
+  // Adds new writes. A newer write replaces any queued write to the same parameter.
+  enqueue(parameters, now = Date.now()) {
+    for (const parameterId of Object.keys(parameters)) {
+      this.commands = this.commands.filter(command => command.parameterId !== String(parameterId));
+      this.commands.push({
+        parameterId: String(parameterId),
+        value: parameters[parameterId],
+        state: STATE_PENDING,
+        attempts: 0,
+        created: now,
+        sent: undefined,
+        lastError: undefined
+      });
+    }
+  }
+
+  // Removes commands without reporting them, i.e. when the value was rejected before being sent
+  remove(parameterIds) {
+    const ids = parameterIds.map(String);
+    this.commands = this.commands.filter(command => !ids.includes(command.parameterId));
+  }
+
+  // Parameters that are queued or waiting for confirmation
+  getParameterIds() {
+    return this.commands.map(command => command.parameterId);
+  }
+
+  // The commands waiting to be sent, formatted for setDevicePoint
+  getPendingParameters() {
+    const parameters = {};
+    this.commands
+      .filter(command => command.state === STATE_PENDING)
+      .forEach(command => {
+        parameters[command.parameterId] = command.value;
+      });
+    return parameters;
+  }
+
+  markSent(parameterIds, now = Date.now()) {
+    const ids = parameterIds.map(String);
+    this.commands
+      .filter(command => command.state === STATE_PENDING && ids.includes(command.parameterId))
+      .forEach(command => {
+        command.state = STATE_SENT;
+        command.sent = now;
+        command.attempts += 1;
+      });
+  }
+
+  /**
+   * Registers that sending failed, the commands are retried until the retry limit has been reached
+   * @return the commands that failed permanently
+   */
+  markError(parameterIds, error) {
+    const ids = parameterIds.map(String);
+    this.commands
+      .filter(command => command.state === STATE_PENDING && ids.includes(command.parameterId))
+      .forEach(command => {
+        command.attempts += 1;
+        command.lastError = String(error);
+        if (command.attempts > this.maxRetries) {
+          command.state = STATE_FAILED;
+        }
+      });
+    return this.removeState(STATE_FAILED);
+  }
+
+  /**
+   * Compares sent commands with values read from the device
+   * @param points device points as returned by getDevicePoints
+   * @return the commands that were confirmed
+   */
+  confirm(points) {
+    const values = {};
+    points.forEach(point => {
+      if (point && ('parameterId' in point)) {
+        values[String(point.parameterId)] = point.value;
+      }
+    });
+    this.commands
+      .filter(command => command.state === STATE_SENT && (command.parameterId in values))
+      .forEach(command => {
+        // eslint-disable-next-line eqeqeq
+        if (values[command.parameterId] == command.value) {
+          command.state = STATE_CONFIRMED;
+        }
+      });
+    return this.removeState(STATE_CONFIRMED);
+  }
+
+  /**
+   * Resends commands that have not been confirmed within the timeout
+   * @return the commands that failed permanently
+   */
+  expire(now = Date.now()) {
+    this.commands
+      .filter(command => command.state === STATE_SENT && (now - command.sent) > this.timeout)
+      .forEach(command => {
+        command.lastError = `Not confirmed by the tank within ${Math.round(this.timeout / 60000)} minutes`;
+        command.state = (command.attempts > this.maxRetries) ? STATE_FAILED : STATE_PENDING;
+      });
+    return this.removeState(STATE_FAILED);
+  }
+
+  removeState(state) {
+    const removed = this.commands.filter(command => command.state === state);
+    this.commands = this.commands.filter(command => command.state !== state);
+    return removed;
+  }
+
+}
+
+module.exports = CommandQueue;
@@ -0,0 +1,74 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const MINUTE = 60 * 1000; // ms
+
+/**
+ * Tracks the uptime counters of the tank between polls.
+ * A counter that goes backwards means that the tank rebooted (uptime) or that it lost the
+ * connection to the cloud (com and connection uptime). The connection quality is the share of
+ * the time the tank has been connected to the cloud within the window.
+ */
+class ConnectionMonitor {
+
+  // Time the connection quality is calculated over
+  static WINDOW = 24 * HOUR;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.prev = (json && json.prev) || undefined; // {time, uptime, com, connection} from the previous poll
+    this.samples = (json && Array.isArray(json.samples)) ? json.samples : []; // [time, elapsed, connected] in minutes
+  }
+
+  toJSON() {
+    return { prev: this.prev, samples: this.samples };
+  }
+
+  /**
+   * Compares the counters with the previous poll
+   * @param now ms since epoch
+   * @param uptime minutes since the tank started (point 532)
+   * @param com minutes since the communication module connected (point 533)
+   * @param connection minutes since the tank connected to the cloud (point 534)
+   * @return {rebooted, reconnected, previousUptime, downtime} where downtime is the estimated minutes offline
+   */
+  update(now, { uptime, com, connection }) {
+    if ([uptime, com, connection].some(value => value === undefined || Number.isNaN(+value))) {
+      return { rebooted: false, reconnected: false };
+    }
+    const { prev } = this;
+    this.prev = {
+      time: now, uptime: +uptime, com: +com, connection: +connection
+    };
+    if (!prev || now <= prev.time) {
+      return { rebooted: false, reconnected: false };
+    }
+    const elapsed = (now - prev.time) / MINUTE;
+    const rebooted = uptime < prev.uptime;
+    const reconnected = !rebooted && (com < prev.com || connection < prev.connection);
+    // After a reconnect only the time since the reconnect is known to be connected
+    const connected = Math.max(0, Math.min(elapsed, (rebooted || reconnected) ? connection : connection - prev.connection));
+    this.samples.push([now, +elapsed.toFixed(1), +connected.toFixed(1)]);
+    this.samples = this.samples.filter(sample => sample[0] >= now - ConnectionMonitor.WINDOW);
+    return {
+      rebooted,
+      reconnected,
+      previousUptime: prev.uptime,
+      downtime: Math.round(elapsed - connected)
+    };
+  }
+
+  // Percentage of the time the tank was connected within the window, undefined until two polls are done
+  getQuality() {
+    const elapsed = this.samples.reduce((sum, sample) => sum + sample[1], 0);
+    const connected = this.samples.reduce((sum, sample) => sum + sample[2], 0);
+    return (elapsed > 0) ? Math.round((100 * connected) / elapsed) : undefined;
+  }
+
+}
+
+module.exports = ConnectionMonitor;
@@ -0,0 +1,96 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const SIZE_TOLERANCE = 2; // l, the reported volume is rounded differently between firmware versions
+
+/**
+ * Registry of the known tank models.
+ * A profile holds the size (l), the nominal power of each element (W) and the leakage constant (W/°C)
+ * of a tank. Tanks that do not match a known model get a profile built from the values they report,
+ * so new sizes work without any changes to the app.
+ */
+class DeviceProfiles {
+
+  // Element 1 is the smaller element (point 504) and element 2 the larger (point 503)
+  static PROFILES = [
+    {
+      id: 'connected-200',
+      name: 'Høiax CONNECTED 200',
+      size: 187,
+      element1_power: 700,
+      element2_power: 1300,
+      leakage_constant: 1.58
+    },
+    {
+      id: 'connected-300',
+      name: 'Høiax CONNECTED 300',
+      size: 283,
+      element1_power: 1250,
+      element2_power: 1750,
+      leakage_constant: undefined // Not measured yet
+    }
+  ];
+
+  // The profile all other leakage constants are scaled from
+  static REFERENCE_PROFILE_ID = 'connected-200';
+
+  static get(id) {
+    return DeviceProfiles.PROFILES.find(profile => profile.id === id);
+  }
+
+  /**
+   * Finds the profile for a tank
+   * @param size reported tank volume (l, point 526)
+   * @param element1Power reported power of element 1 (W, point 504), may be undefined
+   * @param element2Power reported power of element 2 (W, point 503), may be undefined
+   * @return a complete profile, the leakage constant is estimated when not known
+   */
+  static detect({ size, element1Power, element2Power }) {
+    const known = DeviceProfiles.PROFILES.find(profile => Math.abs(profile.size - size) <= SIZE_TOLERANCE
+      && (!(element1Power > 0) || profile.element1_power === element1Power)
+      && (!(element2Power > 0) || profile.element2_power === element2Power));
+    const reference = DeviceProfiles.get(DeviceProfiles.REFERENCE_PROFILE_ID);
+    const profile = known ? { ...known } : {
+      id: 'generic',
+      name: `${size} l`,
+      size,
+      element1_power: (element1Power >= 0) ? element1Power : reference.element1_power,
+      element2_power: (element2Power >= 0) ? element2Power : reference.element2_power,
+      leakage_constant: undefined
+    };
+    if (!profile.leakage_constant) {
+      // Until the leakage constant has been measured for a tank, just scale a known one to have something
+      profile.leakage_constant = (reference.leakage_constant * profile.size) / reference.size;
+    }
+    return profile;
+  }
+
+  /**
+   * The power levels of the tank (point 517), levels that give the same power as a lower level are left out
+   * @return list of {id, level, power} where id is the value of the max_power capability
+   */
+  static getPowerLevels(profile) {
+    const levels = [
+      { id: 'low_power', level: 1, power: profile.element1_power },
+      { id: 'medium_power', level: 2, power: profile.element2_power },
+      { id: 'high_power', level: 3, power: profile.element1_power + profile.element2_power }
+    ];
+    return levels.filter((level, idx) => level.power > 0
+      && !levels.slice(0, idx).some(lower => lower.power === level.power));
+  }
+
+  /**
+   * The power level with the highest power within a power budget
+   * @param budget W
+   * @return {id, level, power} as given by getPowerLevels, undefined if not even the lowest level fits
+   */
+  static getLevelForBudget(profile, budget) {
+    return DeviceProfiles.getPowerLevels(profile)
+      .filter(level => level.power <= budget)
+      .reduce((best, level) => ((!best || level.power > best.power) ? level : best), undefined);
+  }
+
+}
+
+module.exports = DeviceProfiles;
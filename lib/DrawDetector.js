@@ -0,0 +1,110 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const WH_PER_LITRE_DEGREE = 1.163; // Energy needed to heat a litre of water by one degree
+
+/**
+ * Detects hot water being drawn from the tank.
+ * Between two polls the stored energy changes by the energy added by the heater minus the leakage,
+ * anything missing beyond that has left the tank as hot water. Polls in a row with draws are merged
+ * into one event, so a shower is reported once when it is done. The drawn water is also added up
+ * per day and week.
+ */
+class DrawDetector {
+
+  // Smaller drops are within the resolution of the energy meters
+  static MIN_DRAW_ENERGY = 0.1; // kWh
+  // The fill level can drop without draws when the tank cools, so it takes a larger drop
+  static MIN_FILL_DROP = 3; // %
+  // Polls further apart than this are not compared
+  static MAX_GAP = HOUR;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.prev = (json && json.prev) || undefined; // {time, stored, total, fill} from the previous poll
+    this.event = (json && json.event) || undefined; // {start, end, energy, litres} for the draw in progress
+    this.day = (json && json.day) || { start: undefined, energy: 0, litres: 0 };
+    this.week = (json && json.week) || { start: undefined, energy: 0, litres: 0 };
+    this.total = (json && json.total) || 0; // kWh drawn since the detector was created
+  }
+
+  toJSON() {
+    return {
+      prev: this.prev, event: this.event, day: this.day, week: this.week, total: this.total
+    };
+  }
+
+  /**
+   * Compares the tank with the previous poll
+   * @param stored energy in the tank (kWh, point 302)
+   * @param total energy used by the tank (kWh, point 303)
+   * @param fillLevel fill level (%, point 404)
+   * @param temperature measured temperature (°C, point 528)
+   * @param inletTemperature temperature of the cold water (°C)
+   * @param volume tank volume (l)
+   * @param leakage heat lost to the surroundings (W)
+   * @param dayStart start of the current day (ms since epoch)
+   * @param weekStart start of the current week (ms since epoch)
+   * @return the draw event that ended as {start, end, energy, litres}, undefined if none ended
+   */
+  update(now, {
+    stored, total, fillLevel, temperature, inletTemperature, volume, leakage, dayStart, weekStart
+  }) {
+    if (this.day.start !== dayStart) this.day = { start: dayStart, energy: 0, litres: 0 };
+    if (this.week.start !== weekStart) this.week = { start: weekStart, energy: 0, litres: 0 };
+    const values = [stored, total, fillLevel, temperature];
+    if (values.some(value => value === undefined || value === null || Number.isNaN(+value))) {
+      return undefined;
+    }
+    const { prev } = this;
+    this.prev = {
+      time: now, stored: +stored, total: +total, fill: +fillLevel
+    };
+    if (!prev || now <= prev.time || now - prev.time > DrawDetector.MAX_GAP) {
+      return this.endEvent();
+    }
+
+    // A meter that goes backwards has been reset, the heating since the previous poll is then unknown
+    const heated = (total >= prev.total) ? total - prev.total : 0;
+    const leaked = ((leakage || 0) * (now - prev.time)) / (HOUR * 1000);
+    const energy = prev.stored + heated - leaked - stored;
+    const fillDrop = prev.fill - fillLevel;
+    if (energy < DrawDetector.MIN_DRAW_ENERGY && fillDrop < DrawDetector.MIN_FILL_DROP) {
+      return this.endEvent();
+    }
+    // The drawn water is replaced by cold water, so the energy tells how much water at the tank temperature that was used
+    const temperatureDiff = temperature - inletTemperature;
+    const litres = (energy > 0 && temperatureDiff > 0)
+      ? (energy * 1000) / (WH_PER_LITRE_DEGREE * temperatureDiff)
+      : (volume * Math.max(0, fillDrop)) / 100;
+    const drawn = Math.max(0, energy);
+    if (!this.event) {
+      this.event = {
+        start: prev.time, end: now, energy: 0, litres: 0
+      };
+    }
+    this.event.end = now;
+    this.event.energy += drawn;
+    this.event.litres += litres;
+    for (const period of [this.day, this.week]) {
+      period.energy += drawn;
+      period.litres += litres;
+    }
+    this.total += drawn;
+    return undefined;
+  }
+
+  // Ends the draw in progress, returns it if there was one
+  endEvent() {
+    const { event } = this;
+    this.event = undefined;
+    return event;
+  }
+
+}
+
+module.exports = DrawDetector;
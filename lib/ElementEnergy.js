@@ -0,0 +1,65 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+// Splits an amount according to the weights, or the fallback weights if all weights are zero
+function split(amount, weights, fallback) {
+  const used = weights.some(weight => weight > 0) ? weights : fallback;
+  const sum = used.reduce((total, weight) => total + weight, 0);
+  return used.map(weight => ((sum > 0) ? (amount * weight) / sum : 0));
+}
+
+/**
+ * Estimates the energy used by each heating element.
+ * The tank only has one energy meter, so the energy added between two polls is split between the
+ * elements by their nominal power and how long they were on. The element status is only known at
+ * each poll, so the runtime counters are used when the elements switched between two polls.
+ * The estimates always add up to the energy meter of the tank.
+ */
+class ElementEnergy {
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.energy = (json && Array.isArray(json.energy)) ? json.energy : undefined; // kWh per element
+    this.prev = (json && json.prev) || undefined; // {total, status, runtime} from the previous poll
+  }
+
+  toJSON() {
+    return { energy: this.energy, prev: this.prev };
+  }
+
+  /**
+   * Adds the energy used since the previous update
+   * @param total energy meter of the tank (kWh)
+   * @param powers nominal power of each element (W)
+   * @param status true for each element that is on
+   * @param runtime hours each element has been on since the tank was installed
+   * @return energy used by each element (kWh)
+   */
+  update({
+    total, powers, status, runtime
+  }) {
+    const values = [total, ...powers, ...status, ...runtime];
+    if (values.some(value => value === undefined || value === null || Number.isNaN(+value))) {
+      return this.energy;
+    }
+    if (!this.energy) {
+      // Start from the lifetime runtime of each element
+      this.energy = split(+total, powers.map((power, idx) => power * runtime[idx]), powers);
+    } else if (this.prev && total > this.prev.total) {
+      // A meter that goes backwards has been reset, the energy is then only counted from now on
+      const onFraction = status.map((on, idx) => (+!!this.prev.status[idx] + +!!on) / 2);
+      const weights = powers.map((power, idx) => power * onFraction[idx]);
+      const runtimeWeights = powers.map((power, idx) => power * Math.max(0, runtime[idx] - this.prev.runtime[idx]));
+      const added = split(total - this.prev.total, weights.some(weight => weight > 0) ? weights : runtimeWeights, powers);
+      this.energy = this.energy.map((energy, idx) => energy + added[idx]);
+    }
+    this.prev = { total: +total, status: status.map(on => !!on), runtime: runtime.map(Number) };
+    return this.energy;
+  }
+
+}
+
+module.exports = ElementEnergy;
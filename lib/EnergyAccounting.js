@@ -0,0 +1,182 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+
+// Adds the values to a period, creating the period when it does not exist
+function addTo(periods, start, { energy, leakage, cost }) {
+  let period = periods.find(item => item.start === start);
+  if (!period) {
+    period = {
+      start, energy: 0, leakage: 0, cost: 0
+    };
+    periods.push(period);
+  }
+  period.energy += energy;
+  period.leakage += leakage;
+  period.cost += cost;
+  return period;
+}
+
+/**
+ * Energy, leakage and cost of a tank per hour, day and month.
+ * The energy meter of the tank only counts the total, so the energy used between two polls is added
+ * to the hour of the later poll. The peak hour of each day is kept for the capacity tariff, which is
+ * based on the average of the three days with the highest hourly use of the household in a month.
+ * Without the household use the peaks of the tank itself are used.
+ */
+class EnergyAccounting {
+
+  // How many periods that are kept, the hours cover the default range of the energy API
+  static MAX_HOURS = 31 * 24;
+  static MAX_DAYS = 366;
+  static MAX_MONTHS = 36;
+  // Number of peak hours, on different days, the capacity tariff is based on
+  static PEAK_HOURS = 3;
+  // Values of each period as returned by getPeriods()
+  static FIELDS = ['energy', 'leakage', 'cost', 'household'];
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.prev = (json && json.prev) || undefined; // {total, leakage} from the previous poll
+    this.price = (json && json.price !== undefined) ? json.price : undefined; // Last price given by a flow
+    this.hours = (json && Array.isArray(json.hours)) ? json.hours : []; // {start, energy, leakage, cost, household}
+    this.days = (json && Array.isArray(json.days)) ? json.days : []; // {start, energy, leakage, cost, peak}
+    this.months = (json && Array.isArray(json.months)) ? json.months : []; // {start, energy, leakage, cost}
+  }
+
+  toJSON() {
+    return {
+      prev: this.prev, price: this.price, hours: this.hours, days: this.days, months: this.months
+    };
+  }
+
+  /**
+   * Adds the energy used since the previous poll
+   * @param total energy meter of the tank (kWh, point 303)
+   * @param leakage accumulated leakage (kWh)
+   * @param price electricity price per kWh, undefined if not known
+   * @param dayStart start of the current day (ms since epoch)
+   * @param monthStart start of the current month (ms since epoch)
+   */
+  update(now, {
+    total, leakage, price, dayStart, monthStart
+  }) {
+    if ([total, leakage].some(value => value === undefined || value === null || Number.isNaN(+value))) return;
+    const { prev } = this;
+    this.prev = { total: +total, leakage: +leakage };
+    // A meter that goes backwards has been reset, the energy is then only counted from now on
+    if (!prev || total < prev.total) return;
+    const values = {
+      energy: total - prev.total,
+      leakage: Math.max(0, leakage - prev.leakage),
+      cost: (price === undefined) ? 0 : (total - prev.total) * price
+    };
+    const hour = addTo(this.hours, Math.floor(now / HOUR) * HOUR, values);
+    if (!('household' in hour)) hour.household = null;
+    const day = addTo(this.days, dayStart, values);
+    addTo(this.months, monthStart, values);
+    this.updatePeak(day, hour);
+
+    this.hours = this.hours.filter(item => item.start > now - EnergyAccounting.MAX_HOURS * HOUR);
+    this.days = this.days.slice(-EnergyAccounting.MAX_DAYS);
+    this.months = this.months.slice(-EnergyAccounting.MAX_MONTHS);
+  }
+
+  /**
+   * Sets the energy used by the whole household in an hour, i.e. from a power meter
+   * @param hourStart start of the hour (ms since epoch)
+   * @param energy kWh
+   * @param dayStart start of the day the hour belongs to (ms since epoch)
+   */
+  setHouseholdEnergy(hourStart, energy, dayStart) {
+    let hour = this.hours.find(item => item.start === hourStart);
+    if (!hour) {
+      // The tank did not use anything in the hour
+      hour = {
+        start: hourStart, energy: 0, leakage: 0, cost: 0, household: null
+      };
+      this.hours.push(hour);
+      this.hours.sort((a, b) => a.start - b.start);
+    }
+    hour.household = +energy;
+    const day = this.days.find(item => item.start === dayStart);
+    if (day) this.updatePeak(day, hour);
+  }
+
+  // Keeps the hour of the day with the highest household use, or the highest tank use when the household use is not known
+  updatePeak(day, hour) {
+    const { peak } = day;
+    const higher = (hour.household !== null)
+      ? (!peak || peak.household === null || hour.household > peak.household)
+      : (!peak || (peak.household === null && hour.energy > peak.energy));
+    if (higher || (peak && peak.start === hour.start)) {
+      day.peak = { start: hour.start, energy: hour.energy, household: hour.household };
+    }
+  }
+
+  /**
+   * The peak hours of a month as used by the capacity tariff
+   * @param monthStart start of the month (ms since epoch)
+   * @param nextMonthStart start of the next month (ms since epoch)
+   * @return {hours, energy, household, share} where energy and household are the averages of the
+   *   peak hours (kWh) and share is the percentage used by the tank, undefined without household use
+   */
+  getPeaks(monthStart, nextMonthStart) {
+    const peaks = this.days
+      .filter(day => day.start >= monthStart && day.start < nextMonthStart && day.peak)
+      .map(day => day.peak);
+    const withHousehold = peaks.filter(peak => peak.household !== null);
+    const hours = (withHousehold.length > 0)
+      ? withHousehold.sort((a, b) => b.household - a.household)
+      : peaks.sort((a, b) => b.energy - a.energy);
+    const top = hours.slice(0, EnergyAccounting.PEAK_HOURS);
+    if (top.length === 0) return { hours: [] };
+    const energy = top.reduce((sum, peak) => sum + peak.energy, 0) / top.length;
+    const household = (withHousehold.length > 0) ? top.reduce((sum, peak) => sum + peak.household, 0) / top.length : undefined;
+    return {
+      hours: top,
+      energy,
+      household,
+      share: (household > 0) ? (100 * energy) / household : undefined
+    };
+  }
+
+  /**
+   * Returns the periods within a time range
+   * @param resolution hour, day or month
+   * @param from ms since epoch
+   * @param to ms since epoch
+   * @return list of {time, ...FIELDS}, household is only known for hours
+   */
+  getPeriods(resolution, from, to) {
+    const periods = { hour: this.hours, day: this.days, month: this.months }[resolution];
+    if (!periods) {
+      throw new Error(`Invalid resolution: ${resolution}`);
+    }
+    return periods
+      .filter(item => item.start >= from && item.start <= to)
+      .map(item => {
+        const result = { time: new Date(item.start).toISOString() };
+        EnergyAccounting.FIELDS.forEach(field => {
+          result[field] = (typeof item[field] === 'number') ? +item[field].toFixed(3) : null;
+        });
+        return result;
+      });
+  }
+
+  // Formats periods from getPeriods() as CSV with a header line
+  static toCSV(periods) {
+    const columns = ['time', ...EnergyAccounting.FIELDS];
+    const lines = periods.map(period => columns
+      .map(column => ((period[column] === null || period[column] === undefined) ? '' : String(period[column])))
+      .join(','));
+    return [columns.join(','), ...lines].join('\n');
+  }
+
+}
+
+module.exports = EnergyAccounting;
@@ -0,0 +1,92 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const MINUTE = 60 * 1000; // ms
+const WH_PER_LITRE_DEGREE = 1.163; // Energy needed to heat a litre of water by one degree
+
+/**
+ * Predicts how long the tank needs to heat up, and plans heating that has to be done by a deadline.
+ * The tank is kept off until the latest time the heating can start and still be done in time with
+ * the current power level, plus a margin for draws and inaccurate estimates.
+ */
+class HeatUpPlanner {
+
+  // The heating starts this much earlier than predicted, whichever margin is the largest
+  static MARGIN_FACTOR = 1.2;
+  static MIN_MARGIN = 15 * MINUTE;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.plan = (json && json.plan) || undefined; // {deadline, target, restore: {target, power}, started}
+  }
+
+  toJSON() {
+    return { plan: this.plan };
+  }
+
+  /**
+   * Predicts the time needed to heat the tank
+   * @param volume tank volume (l)
+   * @param temperature current temperature (°C)
+   * @param target temperature to reach (°C)
+   * @param power heating power (W)
+   * @param leakage heat lost to the surroundings (W)
+   * @return hours, 0 if the target is reached and undefined if the target will never be reached
+   */
+  static getHeatUpTime({
+    volume, temperature, target, power, leakage
+  }) {
+    if (temperature >= target) return 0;
+    const netPower = power - (leakage || 0);
+    if (!(netPower > 0)) return undefined;
+    return (volume * WH_PER_LITRE_DEGREE * (target - temperature)) / netPower;
+  }
+
+  // Temperature the whole tank must have to store the energy (kWh) above the inlet temperature
+  static getTargetForEnergy({ volume, energy, inletTemperature }) {
+    return inletTemperature + (energy * 1000) / (volume * WH_PER_LITRE_DEGREE);
+  }
+
+  /**
+   * Starts a new plan, replacing any previous plan
+   * @param deadline ms since epoch
+   * @param target temperature to reach (°C)
+   * @param restore {target, power} to restore after the deadline
+   */
+  start(deadline, target, restore) {
+    this.plan = {
+      deadline, target, restore, started: false
+    };
+  }
+
+  isActive() {
+    return !!this.plan;
+  }
+
+  // Latest time to start heating, given the predicted heat-up time in hours
+  getStartTime(hours) {
+    const time = hours * HOUR;
+    return this.plan.deadline - Math.max(time * HeatUpPlanner.MARGIN_FACTOR, time + HeatUpPlanner.MIN_MARGIN);
+  }
+
+  isDone(now) {
+    return !!this.plan && now >= this.plan.deadline;
+  }
+
+  /**
+   * Ends the plan
+   * @return {target, power} to restore
+   */
+  finish() {
+    const { restore } = this.plan;
+    this.plan = undefined;
+    return restore;
+  }
+
+}
+
+module.exports = HeatUpPlanner;
@@ -6,6 +6,9 @@ const { URLSearchParams } = require('url');
 const fetch = require('node-fetch');
 
 const { OAuth2Client, OAuth2Error } = require('homey-oauth2app');
+const ParameterCatalog = require('./ParameterCatalog');
+const ParameterValidationError = require('./ParameterValidationError');
+const RequestScheduler = require('./RequestScheduler');
 // const HoiaxOAuth2Token = require('./HoiaxOAuth2Token.js');
 
 class HoiaxOAuth2Client extends OAuth2Client {
@@ -16,6 +19,15 @@ class HoiaxOAuth2Client extends OAuth2Client {
   static AUTHORIZATION_URL = 'https://api.myuplink.com/oauth/authorize';
   static SCOPES = ['READSYSTEM WRITESYSTEM offline_access'];
 
+  // Request rate towards myUplink, shared by all devices using this client
+  static REQUEST_BURST = 10; // Number of requests that can be sent back to back
+  static REQUEST_INTERVAL = 2000; // ms between requests once the burst has been used
+  static REQUEST_RETRIES = 4;
+
+  // Token refreshes that fail due to network problems, 429 or 5xx are retried with exponential backoff
+  static REFRESH_RETRIES = 3;
+  static REFRESH_RETRY_DELAY = 5000; // ms, doubled for every retry
+
   // Optional:
   // static TOKEN = HoiaxOAuth2Token; // Default: OAuth2Token
   // static REDIRECT_URL = 'https://callback.athom.com/oauth2/callback'; // Default: 'https://callback.athom.com/oauth2/callback'
@@ -28,8 +40,64 @@ class HoiaxOAuth2Client extends OAuth2Client {
 
   async onInit() {
     this.log('*** HØIAX onInit ***');
-    this.pendingDevicePoints = {};
+    // Read state is kept per device as several tanks share the same client, writes are tracked by the command queue of each device
     this.confirmedDevicePoints = {};
+    this.parameterCatalogs = {};
+    this.scheduler = new RequestScheduler({
+      burst: this.constructor.REQUEST_BURST,
+      interval: this.constructor.REQUEST_INTERVAL,
+      maxRetries: this.constructor.REQUEST_RETRIES,
+      log: (...args) => this.log(...args)
+    });
+  }
+
+  async onUninit() {
+    this.scheduler.clear('The myUplink session was closed');
+  }
+
+  // All requests go through the scheduler. Reads of the same resource are coalesced.
+  async get(args) {
+    const key = `GET ${args.path} ${JSON.stringify(args.query || {})}`;
+    return this.scheduler.schedule(() => super.get(args), { key });
+  }
+
+  async patch(args) {
+    return this.scheduler.schedule(() => super.patch(args));
+  }
+
+  async put(args) {
+    return this.scheduler.schedule(() => super.put(args));
+  }
+
+  async post(args) {
+    return this.scheduler.schedule(() => super.post(args));
+  }
+
+  async delete(args) {
+    return this.scheduler.schedule(() => super.delete(args));
+  }
+
+  // Let 429 responses pass through onHandleNotOK so Retry-After can be picked up by the scheduler
+  async onIsRateLimited({ status, headers }) {
+    return false;
+  }
+
+  async onHandleNotOK({
+    body, status, statusText, headers
+  }) {
+    const err = await super.onHandleNotOK({
+      body, status, statusText, headers
+    });
+    const retryAfter = headers ? headers.get('Retry-After') : null;
+    if (retryAfter) {
+      // Either a number of seconds or a HTTP date
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? (Date.parse(retryAfter) - Date.now()) : seconds * 1000;
+      if (ms >= 0) {
+        err.retryAfter = ms;
+      }
+    }
+    return err;
   }
 
   // async onShouldRefreshToken({ status }) {
@@ -48,32 +116,87 @@ class HoiaxOAuth2Client extends OAuth2Client {
     }
 
     if (!token.isRefreshable()) {
-      throw new OAuth2Error('Token cannot be refreshed');
+      return this.onRefreshTokenRevoked(new OAuth2Error('Token cannot be refreshed'));
     }
 
+    return this.requestTokenRefresh(token, 0);
+  }
+
+  async requestTokenRefresh(token, attempt) {
     const body = new URLSearchParams();
     body.append('grant_type', 'refresh_token');
     body.append('client_id', this._clientId);
     body.append('client_secret', this._clientSecret);
     body.append('refresh_token', token.refresh_token);
 
-    const response = await fetch(this._tokenUrl, {
-      body,
-      method: 'POST',
-    });
-    if (response.status === 401) { // 429 = rate limit, 401 = access denied, 5xx error with server
-      this._token = null;
-      this.emit('expired');
-      this.save();
-      return this.onHandleRefreshTokenError({ response });
+    let response;
+    let reason;
+    let retryAfter;
+    try {
+      response = await fetch(this._tokenUrl, {
+        body,
+        method: 'POST',
+      });
+    } catch (err) {
+      reason = err.message; // Network problem
+    }
+    if (response) {
+      if (response.ok) {
+        this._token = await this.onHandleRefreshTokenResponse({ response });
+        this.debug('Refreshed token!', this._token);
+        this.save();
+        return this.getToken();
+      }
+      if (response.status !== 429 && !(response.status >= 500 && response.status <= 599)) {
+        // 400 invalid_grant, 401 and friends: The grant has been revoked or has expired
+        const err = await this.onHandleRefreshTokenError({ response }).catch(refreshErr => refreshErr);
+        return this.onRefreshTokenRevoked(err);
+      }
+      reason = `${response.status} ${response.statusText}`;
+      const retryAfterHeader = Number(response.headers.get('Retry-After'));
+      if (retryAfterHeader > 0) {
+        retryAfter = retryAfterHeader * 1000;
+      }
     }
 
-    this._token = await this.onHandleRefreshTokenResponse({ response });
+    // Transient error, the refresh token is probably still valid so try again in a while
+    if (attempt >= this.constructor.REFRESH_RETRIES) {
+      // No status on the error so the request is not retried by the scheduler as well, the devices try again at next poll
+      throw new OAuth2Error(`Could not refresh the myUplink login (${reason}), will try again later`);
+    }
+    const delay = (retryAfter !== undefined) ? retryAfter
+      : Math.random() * this.constructor.REFRESH_RETRY_DELAY * (2 ** attempt);
+    this.log(`Token refresh failed (${reason}), retry ${attempt + 1}/${this.constructor.REFRESH_RETRIES} in ${Math.round(delay)} ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return this.requestTokenRefresh(token, attempt + 1);
+  }
 
-    this.debug('Refreshed token!', this._token);
+  /**
+   * The refresh token can no longer be used, only a new login through repair can fix this.
+   * The token is removed so the devices stop using it. As later refreshes then fail with
+   * 'Missing Token' before they get here, the user is only notified once.
+   */
+  async onRefreshTokenRevoked(err) {
+    this.log(`The myUplink login was rejected: ${err.message}`);
+    this._token = null;
+    this.emit('expired');
     this.save();
+    this.homey.notifications.createNotification({ excerpt: this.homey.__('info.reauthRequired') })
+      .catch(notifyErr => this.error(notifyErr));
+    throw new OAuth2Error(this.homey.__('errors.reauthRequired'));
+  }
+
+  // False once the login has been revoked and the user has to repair a device
+  isLoggedIn() {
+    return !!this.getToken();
+  }
 
-    return this.getToken();
+  // Returns the last values read from a device
+  getConfirmedDevicePoints(deviceId) {
+    if (!(deviceId in this.confirmedDevicePoints)) {
+      this.confirmedDevicePoints[deviceId] = {};
+    }
+    return this.confirmedDevicePoints[deviceId];
   }
 
   async getDevices({ page }) {
@@ -83,6 +206,31 @@ class HoiaxOAuth2Client extends OAuth2Client {
     });
   }
 
+  /**
+   * Lists all devices on the account
+   * @return list of {system, device} where system is the myUplink system the device belongs to
+   */
+  async getAllDevices() {
+    const devices = [];
+    // The systems are paginated, while every system lists all of its devices
+    let page = 1;
+    let numSystems = 0;
+    let things;
+    do {
+      things = await this.getDevices({ page });
+      const systems = (things && Array.isArray(things.systems)) ? things.systems : [];
+      for (const system of systems) {
+        for (const device of system.devices) {
+          devices.push({ system, device });
+        }
+      }
+      numSystems += systems.length;
+      page++;
+      if (systems.length === 0) break; // Should not happen, but avoid looping forever if numItems is wrong
+    } while (numSystems < things.numItems);
+    return devices;
+  }
+
   async getSmartHomeMode(systemId) {
     this.log('getSmartHomeMode');
     return this.get({
@@ -91,6 +239,15 @@ class HoiaxOAuth2Client extends OAuth2Client {
     });
   }
 
+  // Valid modes are 'Default', 'Home', 'Away' and 'Vacation'
+  async setSmartHomeMode(systemId, smartHomeMode) {
+    this.log(`setSmartHomeMode(${smartHomeMode})`);
+    return this.put({
+      path: `/systems/${systemId}/smart-home-mode`,
+      json: { smartHomeMode },
+    });
+  }
+
   async getDeviceInfo(deviceId) {
     this.log('getDeviceInfo');
     return this.get({
@@ -103,32 +260,32 @@ class HoiaxOAuth2Client extends OAuth2Client {
   // '100': 'Average Ambient Temperature' - R/W - handled
   // '101': 'AverageInletWaterTemp'       - R/W - handled
   // '102': 'DefaultEcoSetpoint'          - R   - ignore
-  // '200': 'DefBoostSetpoint'            - R/W - ignore
-  // '201': 'DefBoostTimeout'             - R/W - ignore
-  // '300': 'DefVacationSetpoint'         - R/W - ignore
-  // '301': 'DefVacationTimeout'          - R/W - ignore
+  // '200': 'DefBoostSetpoint'            - R/W - handled
+  // '201': 'DefBoostTimeout'             - R/W - handled
+  // '300': 'DefVacationSetpoint'         - R/W - handled
+  // '301': 'DefVacationTimeout'          - R/W - handled
   // '302': 'EnergyStored'                - R   - handled
   // '303': 'EnergyTotal'                 - R   - handled
-  // '304': 'DisplayDimTimeout'           - R/W - ignore
-  // '305': 'DisplayOffTimeout'           - R/W - ignore
-  // '307': 'PowerDiff'                   - R/W - maybe
-  // '308': 'TimezoneOffset'              - R/W - ignore
+  // '304': 'DisplayDimTimeout'           - R/W - handled
+  // '305': 'DisplayOffTimeout'           - R/W - handled
+  // '307': 'PowerDiff'                   - R/W - handled
+  // '308': 'TimezoneOffset'              - R/W - handled
   // '400': 'EstimatedPower'              - R   - handled
   // '404': 'FillLevel'                   - R   - handled
-  // '405': 'HeaterEfficiency'            - R   - handled
-  // '406': 'CurrentHeaterMode'           - R   - ignore
+  // '405': 'HeaterEfficiency'            - R   - ignore (deprecated)
+  // '406': 'CurrentHeaterMode'           - R   - handled
   // '500': 'HeaterMode'                  - R/W - handled
-  // '501': 'HeaterModeTimeout'           - R   - ignore
+  // '501': 'HeaterModeTimeout'           - R   - handled
   // '503': 'HeaterNomPower'              - R   - handled
   // '504': 'HeaterNomPower2'             - R   - handled
-  // '505': 'HeaterOn'                    - R   - ignore
-  // '506': 'HeaterOn2'                   - R   - ignore
-  // '507': 'HeaterRuntime'               - R   - ignore
-  // '508': 'HeaterRuntime2'              - R   - ignore
-  // '509': 'LastLPTime'                  - R   - ignore
+  // '505': 'HeaterOn'                    - R   - handled
+  // '506': 'HeaterOn2'                   - R   - handled
+  // '507': 'HeaterRuntime'               - R   - handled
+  // '508': 'HeaterRuntime2'              - R   - handled
+  // '509': 'LastLPTime'                  - R   - handled
   // '511': 'LegionellaFrequency'         - R/W - handled
   // '512': 'MaxWaterFlow'                - R/W - handled
-  // '514': 'NextLPTime'                  - R   - ignore
+  // '514': 'NextLPTime'                  - R   - handled
   // '516': 'RegulationDiff'              - R/W - handled
   // '517': 'RequestedPower'              - R/W - handled
   // '518': 'SerialNo',                   - R   - handled
@@ -137,9 +294,9 @@ class HoiaxOAuth2Client extends OAuth2Client {
   // '527': 'TargetSetpoint'              - R/W - handled
   // '528': 'Temperature',                - R   - handled
   // '531': 'TotalRuntime',               - R   - ignore
-  // '532': 'Uptime',                     - R   - ignore
-  // '533': 'WifiUptime',                 - R   - ignore
-  // '534': 'MqttUptime',                 - R   - ignore
+  // '532': 'Uptime',                     - R   - handled
+  // '533': 'WifiUptime',                 - R   - handled
+  // '534': 'MqttUptime',                 - R   - handled
   async getDevicePoints(deviceId, parameters) {
     // this.log("getDevicePoints")
     return this.get({
@@ -147,50 +304,67 @@ class HoiaxOAuth2Client extends OAuth2Client {
       query: { parameters },
     })
       .then(gotValues => {
-        // Remove gotten values from pendingDevicePoints (if they match)
-        // eslint-disable-next-line no-restricted-syntax
+        // All responses carry the point metadata, keep the catalog up to date. The catalog itself is only
+        // created from a full fetch, a partial response would make it look like the other points are missing
+        if (Array.isArray(gotValues) && (deviceId in this.parameterCatalogs)) {
+          this.parameterCatalogs[deviceId].update(gotValues);
+        }
+        // Remember the values read, so unchanged values are not written again
+        const confirmed = this.getConfirmedDevicePoints(deviceId);
         for (let idx = 0; idx < gotValues.length; idx++) {
-          const key = gotValues[idx].parameterId;
-          const { value } = gotValues[idx];
-          this.confirmedDevicePoints[key] = value;
-          if (key in this.pendingDevicePoints) {
-            // eslint-disable-next-line eqeqeq
-            if (value == this.pendingDevicePoints[key]) {
-              this.log(`Key ${key} confirmed ${value} = ${this.pendingDevicePoints[key]}`);
-              delete this.pendingDevicePoints[key];
-            } else {
-              this.log(`Key ${key} not confirmed (set value: ${this.pendingDevicePoints[key]}, actual: ${value}`);
-            }
-          }
+          confirmed[gotValues[idx].parameterId] = gotValues[idx].value;
         }
         return Promise.resolve(gotValues);
       })
       .catch(err => {
         const newErr = new Error(`Error reading ${JSON.stringify(parameters)}: ${err}`);
+        newErr.status = err.status;
         return Promise.reject(newErr);
       }); // Pass on errors
   }
 
-  async setDevicePoint(deviceId, parameters) {
-    // eslint-disable-next-line no-restricted-syntax
-    for (const key in parameters) {
-      if (key in this.confirmedDevicePoints
-        && !(key in this.pendingDevicePoints)
-        // eslint-disable-next-line eqeqeq
-        && parameters[key] == this.confirmedDevicePoints[key]) {
-        this.log(`Ignoring setting unchanged parameter ${key} to ${parameters[key]}}`);
-        delete parameters[key];
+  // Returns the cached parameter catalog for a device, undefined if it has not been fetched yet
+  getParameterCatalog(deviceId) {
+    return this.parameterCatalogs[deviceId];
+  }
+
+  // Used by the devices to restore a catalog from the device store
+  setParameterCatalog(deviceId, catalog) {
+    this.parameterCatalogs[deviceId] = catalog;
+  }
+
+  // Builds a new parameter catalog from all device points, it is up to the caller to use it with setParameterCatalog
+  async fetchParameterCatalog(deviceId) {
+    const points = await this.getDevicePoints(deviceId, []);
+    return new ParameterCatalog(points);
+  }
+
+  /**
+   * Checks device point writes against the parameter catalog, so writes the device will not accept never bother myUplink
+   * @return the parameters with the values rounded to the resolution of each point, i.e. the values that are sent
+   * @throws ParameterValidationError with a translated message if a value can not be written
+   */
+  validateDevicePoints(deviceId, parameters) {
+    const catalog = this.parameterCatalogs[deviceId];
+    const validated = {};
+    for (const key of Object.keys(parameters)) {
+      try {
+        validated[key] = catalog ? catalog.validate(key, parameters[key]) : parameters[key];
+      } catch (err) {
+        const message = this.homey.__(`errors.${err.code}`, err.args);
+        throw new ParameterValidationError(err.code, err.args, message);
       }
     }
+    return validated;
+  }
+
+  // Writes device points, which writes that are needed is up to the command queue of the device
+  async setDevicePoint(deviceId, points) {
+    const parameters = this.validateDevicePoints(deviceId, points);
     if (Object.keys(parameters).length === 0) {
       return true;
     }
 
-    this.pendingDevicePoints = {
-      ...this.pendingDevicePoints,
-      ...parameters
-    };
-
     this.log(`Setting parameters: ${Object.keys(parameters)}`);
     return this.patch({
       path: `/devices/${deviceId}/points`,
@@ -203,6 +377,7 @@ class HoiaxOAuth2Client extends OAuth2Client {
       .catch(err => {
         const details = (err.message === '409 Conflict') ? ' (Check that the tank has power and a network connection)' : '';
         const newErr = new Error(`Failed setting ${JSON.stringify(parameters)} due to ${err.message}${details}`);
+        newErr.status = err.status;
         return Promise.reject(newErr);
       });
   }
@@ -0,0 +1,125 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const WH_PER_LITRE_DEGREE = 1.163; // Energy needed to heat a litre of water by one degree
+
+/**
+ * Measures the leakage constant of a tank (W/°C) from periods where the heater is off and no hot water is drawn.
+ * In such periods the tank cools exponentially towards the ambient temperature, so the logarithm of the
+ * temperature difference falls linearly with a slope given by the leakage constant and the heat capacity
+ * of the water. Each period gives one estimate, the estimates are combined weighted by the length of the periods.
+ * The sums for the regression are updated at every sample, so a long period does not take up any more space.
+ */
+class LeakageCalibrator {
+
+  // Shortest period that gives an estimate, the temperature only changes by about a degree an hour
+  static MIN_PERIOD = 6 * HOUR;
+  // Samples further apart than this are not considered part of the same period
+  static MAX_GAP = HOUR;
+  // A faster fall in temperature or fill level than this means that hot water is drawn
+  static MAX_TEMPERATURE_DROP = 3; // °C/h
+  static MAX_FILL_DROP = 2; // %
+  // The temperature difference must be large enough for the logarithm to be meaningful
+  static MIN_TEMPERATURE_DIFF = 10; // °C
+  // Number of periods that are kept
+  static MAX_ESTIMATES = 10;
+  // Hours of idle periods needed for full confidence
+  static FULL_CONFIDENCE_HOURS = 72;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.period = (json && json.period) || undefined; // {start, last: [time, temperature, fill], sums: [n, t, y, tt, ty]}
+    this.estimates = (json && Array.isArray(json.estimates)) ? json.estimates : []; // [leakage constant, hours]
+  }
+
+  toJSON() {
+    return { period: this.period, estimates: this.estimates };
+  }
+
+  /**
+   * Adds a sample from a poll
+   * @param idle true if the heater is off and has been off since the previous poll
+   * @param temperature measured temperature (°C)
+   * @param ambient ambient temperature (°C)
+   * @param fillLevel fill level (%)
+   * @param volume tank volume (l)
+   * @return true when a period ended with a new estimate
+   */
+  add(now, {
+    idle, temperature, ambient, fillLevel, volume
+  }) {
+    const valid = [temperature, ambient, fillLevel].every(value => value !== undefined && value !== null && !Number.isNaN(+value))
+      && temperature - ambient >= LeakageCalibrator.MIN_TEMPERATURE_DIFF;
+    if (!idle || !valid) {
+      return this.endPeriod(volume);
+    }
+    let added = false;
+    if (this.period) {
+      const [time, prevTemperature, prevFill] = this.period.last;
+      const hours = (now - time) / HOUR;
+      const drawn = (prevTemperature - temperature) / Math.max(hours, 1 / 60) > LeakageCalibrator.MAX_TEMPERATURE_DROP
+        || prevFill - fillLevel > LeakageCalibrator.MAX_FILL_DROP;
+      if (drawn || now - time > LeakageCalibrator.MAX_GAP || now <= time) {
+        added = this.endPeriod(volume);
+      }
+    }
+    if (!this.period) {
+      this.period = { start: now, sums: [0, 0, 0, 0, 0] };
+    }
+    const t = (now - this.period.start) / HOUR;
+    const y = Math.log(temperature - ambient);
+    const [n, sumT, sumY, sumTT, sumTY] = this.period.sums;
+    this.period.sums = [n + 1, sumT + t, sumY + y, sumTT + t * t, sumTY + t * y];
+    this.period.last = [now, +temperature, +fillLevel];
+    return added;
+  }
+
+  /**
+   * Ends the current period, it gives an estimate if it was long enough
+   * @return true if an estimate was added
+   */
+  endPeriod(volume) {
+    const { period } = this;
+    this.period = undefined;
+    if (!period || !period.last || period.last[0] - period.start < LeakageCalibrator.MIN_PERIOD) return false;
+    const [n, sumT, sumY, sumTT, sumTY] = period.sums;
+    const denominator = n * sumTT - sumT * sumT;
+    if (!(volume > 0) || n < 3 || denominator <= 0) return false;
+    const slope = (n * sumTY - sumT * sumY) / denominator; // 1/h
+    if (slope >= 0) return false; // The tank did not cool, i.e. the ambient temperature is wrong
+    const leakageConstant = -slope * volume * WH_PER_LITRE_DEGREE; // W/°C
+    const hours = (period.last[0] - period.start) / HOUR;
+    this.estimates.push([+leakageConstant.toFixed(3), +hours.toFixed(1)]);
+    this.estimates = this.estimates.slice(-LeakageCalibrator.MAX_ESTIMATES);
+    return true;
+  }
+
+  // The fitted leakage constant (W/°C), undefined until a period has been measured
+  getValue() {
+    const hours = this.estimates.reduce((sum, [, weight]) => sum + weight, 0);
+    if (!(hours > 0)) return undefined;
+    return this.estimates.reduce((sum, [value, weight]) => sum + value * weight, 0) / hours;
+  }
+
+  /**
+   * How much the fitted value can be trusted, from the total length of the periods and how much they agree
+   * @return percentage, 0 until a period has been measured
+   */
+  getConfidence() {
+    const value = this.getValue();
+    if (value === undefined) return 0;
+    const hours = this.estimates.reduce((sum, [, weight]) => sum + weight, 0);
+    const variance = this.estimates.reduce((sum, [estimate, weight]) => sum + weight * (estimate - value) ** 2, 0) / hours;
+    // A single period says nothing about the spread, so it is assumed to be large
+    const spread = (this.estimates.length > 1) ? Math.sqrt(variance) / value : 0.5;
+    const coverage = Math.min(1, hours / LeakageCalibrator.FULL_CONFIDENCE_HOURS);
+    return Math.round(100 * coverage * Math.max(0, 1 - spread));
+  }
+
+}
+
+module.exports = LeakageCalibrator;
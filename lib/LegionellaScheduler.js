@@ -0,0 +1,90 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const WEEK = 7 * 24 * HOUR; // ms
+
+/**
+ * Keeps track of legionella prevention for one tank.
+ * The tank runs its own prevention cycles, except in External mode where Homey is in control and
+ * power-limiting flows could prevent the tank from ever reaching a high temperature. The scheduler
+ * decides when Homey has to run a cycle itself and remembers what to restore when it is done.
+ */
+class LegionellaScheduler {
+
+  // A cycle that has not completed within this time is given up until the next period
+  static MAX_CYCLE_TIME = 6 * HOUR;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.lastCycle = (json && json.lastCycle) || undefined; // ms since epoch
+    this.cycle = (json && json.cycle) || undefined; // {start, target, power} while Homey runs a cycle
+  }
+
+  toJSON() {
+    return { lastCycle: this.lastCycle, cycle: this.cycle };
+  }
+
+  /**
+   * Updates the time of the last cycle from the tank
+   * @return true if the time changed
+   */
+  update(now, hoursSinceLast) {
+    if (Number.isNaN(+hoursSinceLast) || +hoursSinceLast < 0) return false;
+    const tankLastCycle = Math.floor((now - hoursSinceLast * HOUR) / HOUR) * HOUR; // The tank reports whole hours
+    if (this.lastCycle !== undefined && tankLastCycle <= this.lastCycle) return false;
+    this.lastCycle = tankLastCycle;
+    return true;
+  }
+
+  // Time of the next cycle in ms since epoch, undefined if the last cycle is not known
+  getNextCycle(frequencyWeeks) {
+    return (this.lastCycle === undefined) ? undefined : this.lastCycle + frequencyWeeks * WEEK;
+  }
+
+  isDue(now, frequencyWeeks) {
+    const next = this.getNextCycle(frequencyWeeks);
+    return !this.cycle && next !== undefined && now >= next;
+  }
+
+  /**
+   * Starts a cycle
+   * @param target setpoint to restore when the cycle is done
+   * @param power requested power (point 517) to restore when the cycle is done
+   */
+  start(now, { target, power }) {
+    this.cycle = { start: now, target, power };
+  }
+
+  // Changes the values to restore, used for changes requested while the cycle is running
+  defer(values) {
+    Object.assign(this.cycle, values);
+  }
+
+  // The cycle is complete when the whole tank has reached the temperature
+  isComplete(temperature, fillLevel, legionellaTemperature) {
+    return +temperature >= legionellaTemperature && +fillLevel >= 100;
+  }
+
+  isTimedOut(now) {
+    return !!this.cycle && (now - this.cycle.start) > LegionellaScheduler.MAX_CYCLE_TIME;
+  }
+
+  /**
+   * Ends the cycle
+   * @param counted true if the cycle counts as a prevention, otherwise it is started again when due
+   * @return {target, power} to restore
+   */
+  finish(now, counted) {
+    const { target, power } = this.cycle;
+    this.cycle = undefined;
+    if (counted) this.lastCycle = now;
+    return { target, power };
+  }
+
+}
+
+module.exports = LegionellaScheduler;
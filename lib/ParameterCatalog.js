@@ -0,0 +1,151 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const ParameterValidationError = require('./ParameterValidationError');
+
+// Number of decimals needed to represent a value with the given scale, i.e. 0.01 => 2
+function scaleDecimals(scale) {
+  if (!(scale > 0) || scale >= 1) return 0;
+  return Math.round(-Math.log10(scale));
+}
+
+/**
+ * Metadata for all device points of a myUplink device as reported by the points endpoint.
+ * Note that myUplink report minValue/maxValue unscaled while value is scaled, so all ranges
+ * in the catalog are converted to the same unit as the values.
+ */
+class ParameterCatalog {
+
+  constructor(points = []) {
+    this.parameters = {};
+    this.update(points);
+  }
+
+  // Restores a catalog previously stored with toJSON()
+  static fromJSON(json) {
+    const catalog = new ParameterCatalog();
+    if (json && typeof json === 'object') {
+      catalog.parameters = { ...json };
+    }
+    return catalog;
+  }
+
+  toJSON() {
+    return this.parameters;
+  }
+
+  // Adds or refreshes metadata from a list of device points
+  update(points) {
+    if (!Array.isArray(points)) return;
+    for (let idx = 0; idx < points.length; idx++) {
+      const point = points[idx];
+      if (point && ('parameterId' in point)) {
+        const scale = parseFloat(point.scaleValue) || 1;
+        const decimals = scaleDecimals(scale);
+        const toScaled = raw => ((raw === null || raw === undefined) ? undefined : +(raw * scale).toFixed(decimals));
+        this.parameters[String(point.parameterId)] = {
+          name: point.parameterName,
+          unit: point.parameterUnit || '',
+          writable: point.writable === true,
+          scale,
+          decimals,
+          min: toScaled(point.minValue),
+          max: toScaled(point.maxValue),
+          enumValues: Array.isArray(point.enumValues)
+            ? point.enumValues.map(item => ({ value: String(item.value), text: item.text }))
+            : []
+        };
+      }
+    }
+  }
+
+  get size() {
+    return Object.keys(this.parameters).length;
+  }
+
+  has(parameterId) {
+    return String(parameterId) in this.parameters;
+  }
+
+  get(parameterId) {
+    return this.parameters[String(parameterId)];
+  }
+
+  getParameterIds() {
+    return Object.keys(this.parameters);
+  }
+
+  isWritable(parameterId) {
+    const param = this.get(parameterId);
+    return param ? param.writable : false;
+  }
+
+  getRange(parameterId) {
+    const param = this.get(parameterId);
+    return param ? { min: param.min, max: param.max } : { min: undefined, max: undefined };
+  }
+
+  getEnumValues(parameterId) {
+    const param = this.get(parameterId);
+    return param ? param.enumValues : [];
+  }
+
+  hasEnumValue(parameterId, value) {
+    return this.getEnumValues(parameterId).some(item => item.value === String(value));
+  }
+
+  getEnumText(parameterId, value) {
+    const item = this.getEnumValues(parameterId).find(entry => entry.value === String(value));
+    return item ? item.text : undefined;
+  }
+
+  // Limits the value to the reported range, returns the value unchanged if the range is unknown
+  clamp(parameterId, value) {
+    const { min, max } = this.getRange(parameterId);
+    let clamped = +value;
+    if (min !== undefined && clamped < min) clamped = min;
+    if (max !== undefined && clamped > max) clamped = max;
+    return clamped;
+  }
+
+  /**
+   * Checks that a value can be written to the parameter
+   * @return the value rounded to the resolution of the parameter
+   * @throws ParameterValidationError if the value can not be written
+   */
+  validate(parameterId, value) {
+    const param = this.get(parameterId);
+    if (!param) {
+      // Unknown parameters are passed on unchanged and left for myUplink to judge
+      return value;
+    }
+    const args = {
+      id: String(parameterId),
+      name: param.name,
+      value: String(value),
+      unit: param.unit
+    };
+    if (!param.writable) {
+      throw new ParameterValidationError('readOnly', args);
+    }
+    if (param.enumValues.length > 0) {
+      if (!this.hasEnumValue(parameterId, value)) {
+        const values = param.enumValues.map(item => `${item.value} (${item.text})`).join(', ');
+        throw new ParameterValidationError('invalidEnum', { ...args, values });
+      }
+      return value;
+    }
+    if (value === null || value === '' || Number.isNaN(+value)) {
+      throw new ParameterValidationError('notANumber', args);
+    }
+    const rounded = +(Math.round(+value / param.scale) * param.scale).toFixed(param.decimals);
+    if ((param.min !== undefined && rounded < param.min) || (param.max !== undefined && rounded > param.max)) {
+      throw new ParameterValidationError('outOfRange', { ...args, min: String(param.min), max: String(param.max) });
+    }
+    return rounded;
+  }
+
+}
+
+module.exports = ParameterCatalog;
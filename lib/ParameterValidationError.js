@@ -0,0 +1,16 @@
+'use strict';
+
+// Error thrown when a value can not be written to a device point.
+// The code is used as a key into the 'errors' section of the locales
+class ParameterValidationError extends Error {
+
+  constructor(code, args, message = undefined) {
+    super(message || `${code}: ${JSON.stringify(args)}`);
+    this.name = 'ParameterValidationError';
+    this.code = code;
+    this.args = args;
+  }
+
+}
+
+module.exports = ParameterValidationError;
@@ -0,0 +1,95 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+// Units that have a matching Homey capability. The factor converts the point value to the capability unit.
+const SENSOR_UNITS = {
+  '°C': { capability: 'measure_temperature', factor: 1 },
+  W: { capability: 'measure_power', factor: 1 },
+  kW: { capability: 'measure_power', factor: 1000 },
+  Wh: { capability: 'meter_power', factor: 0.001 },
+  kWh: { capability: 'meter_power', factor: 1 },
+  MWh: { capability: 'meter_power', factor: 1000 },
+  '%RH': { capability: 'measure_humidity', factor: 1 },
+  ppm: { capability: 'measure_co2', factor: 1 },
+  bar: { capability: 'measure_pressure', factor: 1000 },
+  mbar: { capability: 'measure_pressure', factor: 1 },
+  Pa: { capability: 'measure_pressure', factor: 0.01 },
+  hPa: { capability: 'measure_pressure', factor: 1 }
+};
+
+/**
+ * Maps myUplink device points to Homey capabilities.
+ * Points are shown with the standard capability for their unit when there is one, so they get the
+ * right icon and insights, and with a generic number or enum capability otherwise. Points selected
+ * as settings become setable capabilities limited to the range of the point.
+ * Every point gets a sub-capability of its own, i.e. measure_temperature.p40004.
+ */
+class PointCapabilities {
+
+  // The capabilities used for points, capabilities not in this list are never removed from a device
+  static CAPABILITIES = [
+    ...new Set(Object.values(SENSOR_UNITS).map(item => item.capability)),
+    'target_temperature', 'point_value', 'point_setting', 'point_state', 'point_enum'
+  ];
+
+  static getCapabilityId(capability, parameterId) {
+    return `${capability}.p${parameterId}`;
+  }
+
+  // Returns true for capabilities that have been added for a point
+  static isPointCapability(capabilityId) {
+    const [capability, sub] = capabilityId.split('.');
+    return PointCapabilities.CAPABILITIES.includes(capability) && /^p\d+$/.test(sub || '');
+  }
+
+  /**
+   * Finds the capability for a point
+   * @param parameterId the myUplink parameter id
+   * @param param point metadata from the parameter catalog
+   * @param setting true if the point should be writable from Homey, ignored for read-only points
+   * @return {capabilityId, factor, setable, options}
+   */
+  static get(parameterId, param, setting) {
+    const setable = !!setting && param.writable;
+    const title = { en: param.name };
+    const enumValues = param.enumValues.map(item => ({ id: item.value, title: { en: item.text } }));
+    let capability;
+    let factor = 1;
+    const options = { title };
+    if (enumValues.length > 0) {
+      capability = setable ? 'point_enum' : 'point_state';
+      options.values = enumValues;
+    } else if (setable) {
+      capability = (param.unit === '°C') ? 'target_temperature' : 'point_setting';
+      if (param.min !== undefined) options.min = param.min;
+      if (param.max !== undefined) options.max = param.max;
+      options.step = param.scale;
+      options.decimals = param.decimals;
+      if (capability === 'point_setting') options.units = { en: param.unit };
+    } else if (param.unit in SENSOR_UNITS) {
+      ({ capability, factor } = SENSOR_UNITS[param.unit]);
+      options.decimals = Math.max(0, param.decimals - Math.round(Math.log10(factor)));
+    } else {
+      capability = 'point_value';
+      options.units = { en: param.unit };
+      options.decimals = param.decimals;
+    }
+    return {
+      capabilityId: PointCapabilities.getCapabilityId(capability, parameterId),
+      factor,
+      setable,
+      options
+    };
+  }
+
+  // Converts a point value to the capability value, undefined if the value is missing
+  static toCapabilityValue(mapping, value) {
+    if (value === null || value === undefined) return undefined;
+    if ('values' in mapping.options) return String(value);
+    return Number.isNaN(+value) ? undefined : +(+value * mapping.factor).toFixed(mapping.options.decimals || 0);
+  }
+
+}
+
+module.exports = PointCapabilities;
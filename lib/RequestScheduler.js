@@ -0,0 +1,152 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+// Errors that are worth retrying. 409 Conflict is deliberately not included as it means
+// that the tank is offline, which will not resolve itself within the retry period.
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.status === 429) return true;
+  if (err.status >= 500 && err.status <= 599) return true;
+  // node-fetch network errors (timeouts, connection reset, dns problems, ...)
+  return err.status === undefined && (err.type === 'system' || err.type === 'request-timeout');
+}
+
+/**
+ * Central queue for all requests towards myUplink.
+ * - A token bucket keeps the request rate within the myUplink quota
+ * - Retry-After from 429 responses pauses the whole queue
+ * - Failed requests are retried with exponential backoff and full jitter
+ * - Identical reads that are queued or in flight are coalesced into one request
+ */
+class RequestScheduler {
+
+  constructor({
+    burst = 10,
+    interval = 2000,
+    maxRetries = 4,
+    baseDelay = 1000,
+    maxDelay = 60000,
+    log = () => {}
+  } = {}) {
+    this.burst = burst;
+    this.refillRate = 1 / interval; // tokens per ms
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.log = log;
+
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+    this.queue = [];
+    this.coalesced = new Map();
+    this.timerID = undefined;
+    this.retryTimers = new Set();
+  }
+
+  /**
+   * Queues a request
+   * @param task function returning a promise that performs the request
+   * @param key optional key identifying the request, tasks with the same key share the result
+   * @return promise resolving with the result of the task
+   */
+  schedule(task, { key = undefined } = {}) {
+    if (key !== undefined && this.coalesced.has(key)) {
+      return this.coalesced.get(key);
+    }
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({
+        task, resolve, reject, attempt: 0
+      });
+    });
+    if (key !== undefined) {
+      this.coalesced.set(key, promise);
+      const forget = () => this.coalesced.delete(key);
+      promise.then(forget, forget);
+    }
+    this.next();
+    return promise;
+  }
+
+  // Rejects everything in the queue, used when the client is destroyed
+  clear(reason = 'Request cancelled') {
+    if (this.timerID !== undefined) {
+      clearTimeout(this.timerID);
+      this.timerID = undefined;
+    }
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    const { queue } = this;
+    this.queue = [];
+    queue.forEach(job => job.reject(new Error(reason)));
+  }
+
+  // Pauses the queue, i.e. when myUplink has asked us to back off
+  pause(ms) {
+    const until = Date.now() + ms;
+    if (until > this.blockedUntil) {
+      this.blockedUntil = until;
+      this.log(`Request queue paused for ${Math.round(ms / 1000)} s`);
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  // Starts as many queued requests as the bucket allows, then waits for more tokens
+  next() {
+    if (this.timerID !== undefined) return;
+    while (this.queue.length > 0) {
+      this.refill();
+      const waitBlocked = this.blockedUntil - Date.now();
+      const waitToken = (this.tokens >= 1) ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+      const wait = Math.max(waitBlocked, waitToken);
+      if (wait > 0) {
+        this.timerID = setTimeout(() => {
+          this.timerID = undefined;
+          this.next();
+        }, wait);
+        return;
+      }
+      this.tokens -= 1;
+      this.run(this.queue.shift());
+    }
+  }
+
+  run(job) {
+    job.task()
+      .then(result => job.resolve(result))
+      .catch(err => {
+        if (!isRetryable(err) || job.attempt >= this.maxRetries) {
+          job.reject(err);
+          return;
+        }
+        job.attempt += 1;
+        let delay;
+        if (err.retryAfter !== undefined) {
+          delay = err.retryAfter;
+        } else {
+          // Full jitter: random delay between 0 and the exponential backoff
+          delay = Math.random() * Math.min(this.maxDelay, this.baseDelay * (2 ** job.attempt));
+        }
+        if (err.status === 429) {
+          // The quota is shared, so make every request wait
+          this.pause(delay);
+        }
+        this.log(`Request failed (${err.message}), retry ${job.attempt}/${this.maxRetries} in ${Math.round(delay)} ms`);
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(timer);
+          this.queue.unshift(job);
+          this.next();
+        }, delay);
+        this.retryTimers.add(timer);
+      });
+  }
+
+}
+
+module.exports = RequestScheduler;
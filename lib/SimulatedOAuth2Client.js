@@ -0,0 +1,93 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HoiaxOAuth2Client = require('./HoiaxOAuth2Client');
+
+/**
+ * Client for the simulated tank.
+ * Everything above the requests is inherited from the myUplink client, so the simulated tank
+ * gets the same validation and write handling as a real tank. The requests are answered by a
+ * TankSimulator instead of myUplink.
+ */
+class SimulatedOAuth2Client extends HoiaxOAuth2Client {
+
+  static FIRMWARE_VERSION = '1.23 (2262)'; // Version of the dump the simulated tank is based on
+
+  /**
+   * @param homey used for translations
+   * @param simulator the TankSimulator answering the requests
+   * @param systemId system the simulated tank belongs to
+   * @param deviceId id of the simulated tank
+   * @param smartHomeMode initial smart home mode of the system
+   */
+  constructor({
+    homey, simulator, systemId, deviceId, smartHomeMode = 'Default'
+  }) {
+    super({ homey });
+    this.simulator = simulator;
+    this.systemId = systemId;
+    this.deviceId = deviceId;
+    this.smartHomeMode = smartHomeMode;
+  }
+
+  // The simulated tank does not need a login
+  isLoggedIn() {
+    return true;
+  }
+
+  async get({ path, query }) {
+    return this.simulateRequest('GET', path, { query });
+  }
+
+  async patch({ path, json }) {
+    return this.simulateRequest('PATCH', path, { json });
+  }
+
+  async put({ path, json }) {
+    return this.simulateRequest('PUT', path, { json });
+  }
+
+  async post({ path, json }) {
+    return this.simulateRequest('POST', path, { json });
+  }
+
+  async delete({ path }) {
+    return this.simulateRequest('DELETE', path, {});
+  }
+
+  // Answers the subset of the myUplink API that is used by the app
+  async simulateRequest(method, path, { query, json }) {
+    const devicePath = `/devices/${this.deviceId}`;
+    const systemPath = `/systems/${this.systemId}`;
+    switch (`${method} ${path}`) {
+      case `GET ${devicePath}/points`:
+        return this.simulator.getPoints(query && query.parameters);
+      case `PATCH ${devicePath}/points`:
+        return this.simulator.setPoints(json);
+      case `GET ${devicePath}`:
+        return {
+          id: this.deviceId,
+          firmware: { currentFwVersion: this.constructor.FIRMWARE_VERSION }
+        };
+      case `GET ${systemPath}/smart-home-mode`:
+        return { smartHomeMode: this.smartHomeMode };
+      case `PUT ${systemPath}/smart-home-mode`:
+        this.smartHomeMode = json.smartHomeMode;
+        return {};
+      case `GET ${systemPath}/notifications/active`:
+      case `GET ${systemPath}/notifications`:
+        return {
+          page: 1, itemsPerPage: 10, numItems: 0, notifications: []
+        };
+      default:
+        break;
+    }
+    const err = new Error('404 Not Found');
+    err.status = 404;
+    throw err;
+  }
+
+}
+
+module.exports = SimulatedOAuth2Client;
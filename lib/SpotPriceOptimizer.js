@@ -0,0 +1,141 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const QUARTER = 15 * 60 * 1000; // ms
+// Lengths of plain number lists that can only be one or two days of hourly or quarterly prices
+const HOURLY_LENGTHS = [24, 48];
+const QUARTERLY_LENGTHS = [96, 192];
+
+// Names used for the time and price of each entry by the price apps
+const TIME_KEYS = ['startsAt', 'start', 'time', 'date'];
+const PRICE_KEYS = ['price', 'total', 'value'];
+
+/**
+ * Plans when to heat the tank from a list of spot prices.
+ * The tank is heated in the cheapest hours needed to keep the stored energy above a minimum until
+ * the last hour with a known price. The energy used is estimated from the average use, and the
+ * heating is spread over the power levels of the tank so the cheapest hours are used first.
+ */
+class SpotPriceOptimizer {
+
+  // Prices older than this are removed
+  static MAX_PRICE_AGE = HOUR;
+
+  /**
+   * @param json previously saved state as returned by toJSON()
+   */
+  constructor(json) {
+    this.prices = (json && Array.isArray(json.prices)) ? json.prices : []; // [time, price] for each hour
+    this.plan = []; // [time, level] for each hour with a price
+  }
+
+  toJSON() {
+    return { prices: this.prices };
+  }
+
+  /**
+   * Reads a price list from a flow
+   * @param input JSON array of prices, either numbers or objects with a time and a price
+   * @param start ms since epoch of the first price in lists of plain numbers
+   * @param interval ms between the prices in lists of plain numbers. When not given only lists
+   *   of whole days are accepted, as the length then tells if the prices are hourly or quarterly.
+   * @return list of [time, price], undefined if the list is not valid
+   */
+  static parsePrices(input, start, interval) {
+    let list;
+    try {
+      list = (typeof input === 'string') ? JSON.parse(input) : input;
+    } catch (err) {
+      return undefined;
+    }
+    if (!Array.isArray(list) || list.length === 0) return undefined;
+    // Lists of plain numbers are hourly or, for day-ahead prices after the 15 minute market change, quarterly
+    let step = interval;
+    if (!step && HOURLY_LENGTHS.includes(list.length)) step = HOUR;
+    if (!step && QUARTERLY_LENGTHS.includes(list.length)) step = QUARTER;
+    const prices = list.map((item, idx) => {
+      if (typeof item === 'number' || typeof item === 'string') {
+        return [step ? start + idx * step : NaN, +item];
+      }
+      const timeKey = item && TIME_KEYS.find(key => key in item);
+      const priceKey = item && PRICE_KEYS.find(key => key in item);
+      return [timeKey ? Date.parse(item[timeKey]) : NaN, priceKey ? +item[priceKey] : NaN];
+    });
+    return prices.some(([time, price]) => Number.isNaN(time) || Number.isNaN(price)) ? undefined : prices;
+  }
+
+  /**
+   * Adds prices, prices for hours that are already known are replaced
+   * @param prices list of [time, price], prices within the same hour are averaged
+   */
+  setPrices(now, prices) {
+    const hours = {};
+    for (const [time, price] of prices) {
+      const hour = Math.floor(time / HOUR) * HOUR;
+      hours[hour] = hours[hour] || [];
+      hours[hour].push(price);
+    }
+    const added = Object.keys(hours).map(hour => [+hour, hours[hour].reduce((sum, price) => sum + price, 0) / hours[hour].length]);
+    this.prices = this.prices
+      .filter(([time]) => !(time in hours) && time >= now - SpotPriceOptimizer.MAX_PRICE_AGE)
+      .concat(added)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Plans the heating from the current hour until the last known price
+   * @param energy energy in the tank (kWh)
+   * @param minEnergy energy to keep in the tank (kWh)
+   * @param maxEnergy energy in the tank at the highest temperature allowed (kWh)
+   * @param usage estimated energy used per hour (kWh)
+   * @param levels power levels of the tank as {level, power} (W), from the lowest power
+   * @return list of [time, level] where level 0 means that the tank is not heated
+   */
+  update(now, {
+    energy, minEnergy, maxEnergy, usage, levels
+  }) {
+    const hour = Math.floor(now / HOUR) * HOUR;
+    this.prices = this.prices.filter(([time]) => time >= now - SpotPriceOptimizer.MAX_PRICE_AGE);
+    const hours = this.prices.filter(([time]) => time >= hour);
+    // Only the rest of the current hour can be used
+    const share = hours.map(([time]) => ((time === hour) ? (hour + HOUR - now) / HOUR : 1));
+    const usages = share.map(part => usage * part);
+    const levelIdx = hours.map(() => -1);
+    const added = idx => ((levelIdx[idx] < 0) ? 0 : (levels[levelIdx[idx]].power / 1000) * share[idx]);
+
+    // Repeatedly heat more in the cheapest hour before the first hour the tank runs out
+    for (;;) {
+      const before = [];
+      let stored = energy;
+      let shortage = -1;
+      for (let idx = 0; idx < hours.length && shortage < 0; idx++) {
+        before.push(stored);
+        stored = Math.min(maxEnergy, stored + added(idx)) - usages[idx];
+        if (stored < minEnergy) shortage = idx;
+      }
+      if (shortage < 0) break;
+      let cheapest = -1;
+      for (let idx = 0; idx <= shortage; idx++) {
+        const canHeat = levelIdx[idx] < levels.length - 1 && before[idx] + added(idx) < maxEnergy;
+        // Later hours are preferred on equal prices, as the heat leaks less when it is stored for a shorter time
+        if (canHeat && (cheapest < 0 || hours[idx][1] <= hours[cheapest][1])) cheapest = idx;
+      }
+      if (cheapest < 0) break; // The tank can not be kept above the minimum, heat as much as possible
+      levelIdx[cheapest]++;
+    }
+    this.plan = hours.map(([time], idx) => [time, (levelIdx[idx] < 0) ? 0 : levels[levelIdx[idx]].level]);
+    return this.plan;
+  }
+
+  // Planned power level for the hour, undefined if the price is not known
+  getLevel(now) {
+    const hour = Math.floor(now / HOUR) * HOUR;
+    const planned = this.plan.find(([time]) => time === hour);
+    return planned ? planned[1] : undefined;
+  }
+
+}
+
+module.exports = SpotPriceOptimizer;
@@ -0,0 +1,133 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const HOUR = 60 * 60 * 1000; // ms
+const DAY = 24 * HOUR; // ms
+
+/**
+ * Bounded history of the tank state.
+ * Every poll is kept for a couple of days, then only hourly averages and finally daily averages.
+ * Samples are stored as arrays [time, ...FIELDS] to keep the device store small.
+ */
+class StateHistory {
+
+  // °C, kWh, %, W, W and W
+  static FIELDS = ['temperature', 'storedEnergy', 'fillLevel', 'power', 'requestedPower', 'leakage'];
+
+  // How long each resolution is kept (ms)
+  static RETENTION = {
+    raw: 2 * DAY,
+    hour: 31 * DAY,
+    day: 2 * 365 * DAY
+  };
+
+  /**
+   * @param json previously saved history as returned by toJSON()
+   */
+  constructor(json) {
+    this.raw = (json && Array.isArray(json.raw)) ? json.raw : [];
+    this.hour = (json && Array.isArray(json.hour)) ? json.hour : [];
+    this.day = (json && Array.isArray(json.day)) ? json.day : [];
+    this.dayStart = (json && json.dayStart !== undefined) ? json.dayStart : undefined; // Day of the latest sample
+  }
+
+  toJSON() {
+    return {
+      raw: this.raw, hour: this.hour, day: this.day, dayStart: this.dayStart
+    };
+  }
+
+  // Averages the samples within [from, to), undefined if there are none
+  static average(samples, from, to) {
+    const inRange = samples.filter(sample => sample[0] >= from && sample[0] < to);
+    if (inRange.length === 0) return undefined;
+    const row = [from];
+    for (let idx = 1; idx <= StateHistory.FIELDS.length; idx++) {
+      const values = inRange.map(sample => sample[idx]).filter(value => value !== null && value !== undefined);
+      row.push(values.length > 0 ? +(values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2) : null);
+    }
+    return row;
+  }
+
+  /**
+   * Adds a sample, missing values are stored as null
+   * @param time ms since epoch
+   * @param values object with the fields in FIELDS
+   * @param dayStart start of the day in the Homey time zone (ms since epoch), days are not always 24 hours
+   * @return true when an hour has been completed, which is a good time to save the history
+   */
+  add(time, values, dayStart) {
+    const row = [time, ...StateHistory.FIELDS.map(field => {
+      const value = values[field];
+      return (value === undefined || value === null || Number.isNaN(+value)) ? null : +(+value).toFixed(2);
+    })];
+    const prev = this.raw[this.raw.length - 1];
+    if (prev && time < prev[0]) return false; // Clock went backwards, ignore
+    this.raw.push(row);
+
+    let hourCompleted = false;
+    if (prev && Math.floor(prev[0] / HOUR) !== Math.floor(time / HOUR)) {
+      const hourStart = Math.floor(prev[0] / HOUR) * HOUR;
+      const hourRow = StateHistory.average(this.raw, hourStart, hourStart + HOUR);
+      if (hourRow) this.hour.push(hourRow);
+      hourCompleted = true;
+    }
+    if (prev && this.dayStart !== undefined && this.dayStart !== dayStart) {
+      const dayRow = StateHistory.average(this.hour, this.dayStart, dayStart);
+      if (dayRow) this.day.push(dayRow);
+    }
+    this.dayStart = dayStart;
+    this.expire(time);
+    return hourCompleted;
+  }
+
+  // Removes samples that are older than the retention time
+  expire(now) {
+    this.raw = this.raw.filter(sample => sample[0] >= now - StateHistory.RETENTION.raw);
+    this.hour = this.hour.filter(sample => sample[0] >= now - StateHistory.RETENTION.hour);
+    this.day = this.day.filter(sample => sample[0] >= now - StateHistory.RETENTION.day);
+  }
+
+  /**
+   * Returns the samples within a time range
+   * @param from ms since epoch
+   * @param to ms since epoch
+   * @param resolution raw, hour, day or auto. Auto picks the finest resolution covering the range.
+   * @return list of {time, ...FIELDS}
+   */
+  getSamples({
+    from, to, resolution = 'auto', now = Date.now()
+  }) {
+    let tier = resolution;
+    if (tier === 'auto') {
+      if (from >= now - StateHistory.RETENTION.raw) tier = 'raw';
+      else if (from >= now - StateHistory.RETENTION.hour) tier = 'hour';
+      else tier = 'day';
+    }
+    if (!(tier in StateHistory.RETENTION)) {
+      throw new Error(`Invalid resolution: ${resolution}`);
+    }
+    return this[tier]
+      .filter(sample => sample[0] >= from && sample[0] <= to)
+      .map(sample => {
+        const result = { time: new Date(sample[0]).toISOString() };
+        StateHistory.FIELDS.forEach((field, idx) => {
+          result[field] = sample[idx + 1];
+        });
+        return result;
+      });
+  }
+
+  // Formats samples from getSamples() as CSV with a header line
+  static toCSV(samples) {
+    const columns = ['time', ...StateHistory.FIELDS];
+    const lines = samples.map(sample => columns
+      .map(column => ((sample[column] === null || sample[column] === undefined) ? '' : String(sample[column])))
+      .join(','));
+    return [columns.join(','), ...lines].join('\n');
+  }
+
+}
+
+module.exports = StateHistory;
@@ -0,0 +1,387 @@
+/* eslint-disable comma-dangle */
+
+'use strict';
+
+const WATER_HEAT_CAPACITY = 4186; // J/(kg·°C), 1 litre of water weighs 1 kg
+const MAX_STEP = 60; // s of simulated time per integration step
+const MAX_CATCH_UP = 7 * 24 * 60 * 60; // s, longer gaps (i.e. Homey turned off) are not simulated
+const DAY = 24 * 60 * 60 * 1000; // ms
+
+// Programs (point 500) that the simulated tank treats differently
+const PROGRAM_EXTERNAL = 8;
+const PROGRAM_LEGIONELLA = 9; // Only reported as the current program (point 406)
+const PROGRAM_VACATION = 10;
+const PROGRAM_BOOST = 11;
+const NO_TIMEOUT = -32768; // Point 501 when the program does not time out
+const LEGIONELLA_TEMP = 70; // °C
+
+// Number of decimals needed to represent a value with the given scale, i.e. 0.01 => 2
+function scaleDecimals(scale) {
+  if (!(scale > 0) || scale >= 1) return 0;
+  return Math.round(-Math.log10(scale));
+}
+
+/**
+ * Thermodynamic model of a water heater that answers like the myUplink points endpoint.
+ *
+ * The tank is modelled as two layers: hot water at the top and cold inlet water at the bottom.
+ * Hot water draws push cold water in at the bottom, the elements turn cold water into hot water
+ * and finally heat the whole tank once it is full. Passive heat leakage cools the hot layer.
+ * The simulated clock runs faster than the real clock by the acceleration factor and is only
+ * advanced when the tank is accessed, so no timers are required.
+ */
+class TankSimulator {
+
+  // Hot water draws as litres from the tank at a given local time of day
+  static DRAW_PROFILES = {
+    none: [],
+    single: [
+      { time: '07:00', litres: 50 },
+      { time: '21:00', litres: 20 }
+    ],
+    family: [
+      { time: '06:30', litres: 60 },
+      { time: '07:00', litres: 60 },
+      { time: '07:30', litres: 40 },
+      { time: '17:30', litres: 30 },
+      { time: '20:00', litres: 60 },
+      { time: '20:30', litres: 60 }
+    ]
+  };
+
+  /**
+   * Parses a draw profile written as "HH:MM=litres" separated by commas, i.e. "07:00=60, 19:30=40"
+   * @throws Error if the profile can not be parsed
+   */
+  static parseDrawProfile(text) {
+    return String(text || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry.length > 0)
+      .map(entry => {
+        const match = entry.match(/^(\d{1,2}):(\d{2})\s*=\s*(\d+(?:\.\d+)?)$/);
+        if (!match || +match[1] > 23 || +match[2] > 59) {
+          throw new Error(`Invalid draw "${entry}", expected HH:MM=litres`);
+        }
+        return { time: `${match[1].padStart(2, '0')}:${match[2]}`, litres: +match[3] };
+      });
+  }
+
+  /**
+   * @param points device points to start from, i.e. a myUplink dump of all points
+   * @param properties size, element1_power, element2_power and leakage_constant of the tank
+   * @param state previously saved simulation as returned by toJSON()
+   * @param acceleration number of simulated seconds per real second
+   * @param drawProfile list of draws, see DRAW_PROFILES
+   */
+  constructor({
+    points = [],
+    properties,
+    state = undefined,
+    acceleration = 1,
+    drawProfile = [],
+    now = Date.now()
+  }) {
+    this.points = {};
+    points.forEach(point => {
+      this.points[String(point.parameterId)] = { ...point, parameterId: String(point.parameterId) };
+    });
+    this.properties = properties;
+    this.acceleration = acceleration;
+    this.drawProfile = drawProfile;
+
+    if (state && state.values) {
+      Object.keys(state.values).forEach(id => {
+        if (id in this.points) this.points[id].value = state.values[id];
+      });
+      this.simTime = state.simTime;
+      this.realTime = state.realTime;
+      this.hotVolume = state.hotVolume;
+      this.hotTemp = state.hotTemp;
+      this.drawLeft = state.drawLeft;
+      this.heating = state.heating;
+      this.counters = { ...state.counters };
+      this.previousProgram = state.previousProgram;
+      this.legionella = !!state.legionella;
+    } else {
+      // Start from the state in the dump
+      const size = this.getSize();
+      this.simTime = now;
+      this.realTime = now;
+      this.hotVolume = (size * this.getValue(404, 100)) / 100;
+      this.hotTemp = this.getValue(528, 60);
+      this.drawLeft = 0;
+      this.heating = this.getValue(400, 0) > 0;
+      this.counters = {};
+      this.previousProgram = undefined;
+      this.legionella = false;
+    }
+  }
+
+  toJSON() {
+    const values = {};
+    Object.keys(this.points).forEach(id => {
+      values[id] = this.points[id].value;
+    });
+    return {
+      simTime: this.simTime,
+      realTime: this.realTime,
+      hotVolume: this.hotVolume,
+      hotTemp: this.hotTemp,
+      drawLeft: this.drawLeft,
+      heating: this.heating,
+      counters: this.counters,
+      previousProgram: this.previousProgram,
+      legionella: this.legionella,
+      values
+    };
+  }
+
+  getValue(parameterId, defaultValue = undefined) {
+    const point = this.points[String(parameterId)];
+    return (point && !Number.isNaN(+point.value)) ? +point.value : defaultValue;
+  }
+
+  setValue(parameterId, value) {
+    const point = this.points[String(parameterId)];
+    if (point) {
+      point.value = +(+value).toFixed(scaleDecimals(this.getScale(parameterId)));
+    }
+  }
+
+  // Counters are kept with full precision as the points are rounded to their scale
+  addCounter(parameterId, amount) {
+    const id = String(parameterId);
+    if (!(id in this.counters)) {
+      this.counters[id] = this.getValue(id, 0);
+    }
+    this.counters[id] += amount;
+    this.setValue(id, Math.floor(this.counters[id] / this.getScale(id)) * this.getScale(id));
+  }
+
+  getScale(parameterId) {
+    const point = this.points[String(parameterId)];
+    return (point && parseFloat(point.scaleValue)) || 1;
+  }
+
+  getSize() {
+    return this.getValue(526, this.properties.size);
+  }
+
+  // Average temperature of the whole tank
+  getMeanTemperature() {
+    const size = this.getSize();
+    const inlet = this.getValue(101, 5);
+    return (this.hotVolume * this.hotTemp + (size - this.hotVolume) * inlet) / size;
+  }
+
+  // Temperature the tank regulates towards, depends on the program
+  getSetpoint() {
+    if (this.legionella) return LEGIONELLA_TEMP;
+    switch (this.getValue(500)) {
+      case PROGRAM_VACATION: return this.getValue(300, 35);
+      case PROGRAM_BOOST: return this.getValue(200, 80);
+      default: return this.getValue(527, 60);
+    }
+  }
+
+  // The elements that are allowed to turn on as [element1, element2]
+  getElements() {
+    // Only external control (i.e. Homey) can limit the power
+    const level = (this.getValue(500) === PROGRAM_EXTERNAL) ? this.getValue(517, 3) : 3;
+    return [level === 1 || level === 3, level === 2 || level === 3];
+  }
+
+  // Boost and vacation run for the default number of days, then the previous program is restored
+  startProgram(program) {
+    const current = this.getValue(500);
+    if (current !== PROGRAM_VACATION && current !== PROGRAM_BOOST) {
+      this.previousProgram = current;
+    }
+    const days = (program === PROGRAM_BOOST) ? this.getValue(201, 2) : this.getValue(301, 14);
+    this.counters['501'] = days * 24;
+    this.setValue(501, this.counters['501']);
+  }
+
+  endProgram() {
+    this.setValue(500, (this.previousProgram !== undefined) ? this.previousProgram : PROGRAM_EXTERNAL);
+    this.setValue(501, NO_TIMEOUT);
+    delete this.counters['501'];
+  }
+
+  // The tank runs its own legionella prevention at the configured frequency, except under external control
+  checkLegionella(hours) {
+    this.addCounter(509, hours);
+    const interval = this.getValue(511, 2) * 7 * 24; // h
+    if (!this.legionella && this.getValue(500) !== PROGRAM_EXTERNAL && this.counters['509'] >= interval) {
+      this.legionella = true;
+    }
+    if (this.legionella && this.hotVolume >= this.getSize() && this.hotTemp >= LEGIONELLA_TEMP) {
+      this.legionella = false;
+      this.counters['509'] = 0;
+      this.setValue(509, 0);
+    }
+    this.setValue(514, Math.max(0, interval - this.counters['509']));
+  }
+
+  // Changes the acceleration, time that has passed is simulated with the previous acceleration
+  setAcceleration(acceleration, now = Date.now()) {
+    this.advance(now);
+    this.acceleration = acceleration;
+  }
+
+  setDrawProfile(drawProfile, now = Date.now()) {
+    this.advance(now);
+    this.drawProfile = drawProfile;
+  }
+
+  // Runs the simulation up to the given real time
+  advance(now = Date.now()) {
+    const elapsed = Math.min(MAX_CATCH_UP, Math.max(0, ((now - this.realTime) / 1000) * this.acceleration));
+    this.realTime = now;
+    let left = elapsed;
+    while (left > 0) {
+      const dt = Math.min(MAX_STEP, left);
+      this.step(dt);
+      left -= dt;
+    }
+  }
+
+  // Starts the draws in the profile that are scheduled within the next dt seconds
+  startDraws(dt) {
+    const offset = this.getValue(308, 0) * 60 * 1000; // Timezone offset of the tank
+    const from = this.simTime + offset;
+    const to = from + dt * 1000;
+    this.drawProfile.forEach(draw => {
+      const [hours, minutes] = draw.time.split(':').map(Number);
+      let start = Math.floor(from / DAY) * DAY + (hours * 60 + minutes) * 60 * 1000;
+      if (start <= from) start += DAY;
+      if (start <= to) {
+        this.drawLeft += draw.litres;
+      }
+    });
+  }
+
+  // Simulates dt seconds
+  step(dt) {
+    const size = this.getSize();
+    const inlet = this.getValue(101, 5);
+    const ambient = this.getValue(100, 20);
+
+    // 1) Hot water draws, cold water enters at the bottom
+    this.startDraws(dt);
+    if (this.drawLeft > 0) {
+      const litres = Math.min(this.drawLeft, (this.getValue(512, 20) * dt) / 60);
+      this.drawLeft -= litres;
+      this.hotVolume = Math.max(0, this.hotVolume - litres);
+    }
+
+    // 2) Thermostat with hysteresis
+    const setpoint = this.getSetpoint();
+    const meanTemp = this.getMeanTemperature();
+    if (meanTemp <= setpoint - this.getValue(516, 6)) {
+      this.heating = true;
+    } else if (this.hotVolume >= size && this.hotTemp >= setpoint) {
+      this.heating = false;
+    }
+    const [element1, element2] = this.heating ? this.getElements() : [false, false];
+    const power = (element1 ? this.getValue(504, this.properties.element1_power) : 0)
+      + (element2 ? this.getValue(503, this.properties.element2_power) : 0);
+
+    // 3) Heating, cold water is turned into hot water before the whole tank is heated
+    let energy = power * dt; // J
+    if (energy > 0) {
+      if (this.hotVolume < size && this.hotTemp - inlet < 1) {
+        // No usable hot layer, heat the tank as a whole
+        this.hotTemp = meanTemp;
+        this.hotVolume = size;
+      }
+      if (this.hotVolume < size) {
+        const perLitre = WATER_HEAT_CAPACITY * (this.hotTemp - inlet);
+        const litres = Math.min(size - this.hotVolume, energy / perLitre);
+        this.hotVolume += litres;
+        energy -= litres * perLitre;
+      }
+      if (energy > 0) {
+        this.hotTemp += energy / (WATER_HEAT_CAPACITY * this.hotVolume);
+      }
+    }
+
+    // 4) Passive heat leakage from the hot layer
+    if (this.hotVolume > 0) {
+      const leakage = this.properties.leakage_constant * (this.getMeanTemperature() - ambient); // W
+      this.hotTemp = Math.max(inlet, this.hotTemp - (leakage * dt) / (WATER_HEAT_CAPACITY * this.hotVolume));
+    }
+
+    // 5) Update the device points
+    const hours = dt / 3600;
+    if ('501' in this.counters) {
+      this.addCounter(501, -hours);
+      if (this.counters['501'] <= 0) this.endProgram();
+    }
+    this.simTime += dt * 1000;
+    this.setValue(302, (WATER_HEAT_CAPACITY * this.hotVolume * (this.hotTemp - inlet)) / 3600000);
+    this.addCounter(303, (power * hours) / 1000);
+    this.setValue(400, power);
+    this.setValue(404, Math.round((100 * this.hotVolume) / size));
+    this.checkLegionella(hours);
+    this.setValue(406, this.legionella ? PROGRAM_LEGIONELLA : this.getValue(500));
+    this.setValue(505, element2 ? 1 : 0);
+    this.setValue(506, element1 ? 1 : 0);
+    this.addCounter(507, element2 ? hours : 0);
+    this.addCounter(508, element1 ? hours : 0);
+    this.addCounter(531, (element1 || element2) ? hours : 0);
+    [532, 533, 534].forEach(id => this.addCounter(id, dt / 60));
+    this.setValue(528, (this.hotVolume > 0) ? this.hotTemp : inlet);
+  }
+
+  /**
+   * Reads device points like GET /devices/{deviceId}/points
+   * @param parameters comma separated list of parameter ids, all points are returned if empty
+   */
+  getPoints(parameters) {
+    this.advance();
+    const ids = String(parameters || '').split(',').map(id => id.trim()).filter(id => id.length > 0);
+    const timestamp = new Date(this.simTime).toISOString();
+    return (ids.length > 0 ? ids : Object.keys(this.points))
+      .filter(id => id in this.points)
+      .map(id => {
+        const point = this.points[id];
+        return {
+          ...point,
+          parameterId: id,
+          timestamp,
+          strVal: `${point.value}${point.parameterUnit || ''}`
+        };
+      });
+  }
+
+  /**
+   * Writes device points like PATCH /devices/{deviceId}/points
+   * @throws Error with status 400 if a point does not exist or is read only
+   */
+  setPoints(parameters) {
+    this.advance();
+    const result = {};
+    Object.keys(parameters).forEach(id => {
+      const point = this.points[String(id)];
+      if (!point || !point.writable) {
+        const err = new Error(`400 Bad Request (parameter ${id} is not writable)`);
+        err.status = 400;
+        throw err;
+      }
+      const program = +parameters[id];
+      if (String(id) === '500' && (program === PROGRAM_VACATION || program === PROGRAM_BOOST)) {
+        this.startProgram(program);
+      } else if (String(id) === '500' && '501' in this.counters) {
+        this.endProgram(); // Ended by the user
+      }
+      this.setValue(id, parameters[id]);
+      result[id] = 'modified';
+    });
+    return result;
+  }
+
+}
+
+module.exports = TankSimulator;